@@ -1,3 +1,12 @@
+use std::sync::atomic::{AtomicBool, Ordering};
+use tauri::{Emitter, Manager, WindowEvent};
+
+// Whether the frontend has unsaved changes; checked before the window closes
+#[derive(Default)]
+struct DocumentState {
+    dirty: AtomicBool,
+}
+
 // Learn more about Tauri commands at https://tauri.app/develop/calling-rust/
 #[tauri::command]
 fn greet(name: &str) -> String {
@@ -9,13 +18,30 @@ fn exit_app(app_handle: tauri::AppHandle) {
     app_handle.exit(0);
 }
 
+#[tauri::command]
+fn set_document_dirty(dirty: bool, state: tauri::State<DocumentState>) {
+    state.dirty.store(dirty, Ordering::SeqCst);
+}
+
 #[cfg_attr(mobile, tauri::mobile_entry_point)]
 pub fn run() {
     tauri::Builder::default()
         .plugin(tauri_plugin_opener::init())
         .plugin(tauri_plugin_dialog::init())
         .plugin(tauri_plugin_fs::init())
-        .invoke_handler(tauri::generate_handler![greet, exit_app])
+        .manage(DocumentState::default())
+        .on_window_event(|window, event| {
+            if let WindowEvent::CloseRequested { api, .. } = event {
+                let dirty = window.state::<DocumentState>().dirty.load(Ordering::SeqCst);
+                if dirty {
+                    // Let the frontend show its Save / Discard / Cancel prompt;
+                    // it calls `exit_app` once the user has decided.
+                    api.prevent_close();
+                    let _ = window.emit("close-requested", ());
+                }
+            }
+        })
+        .invoke_handler(tauri::generate_handler![greet, exit_app, set_document_dirty])
         .run(tauri::generate_context!())
         .expect("error while running tauri application");
 }
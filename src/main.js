@@ -1,14 +1,232 @@
 // ===== SOUND SYSTEM =====
+// Sample categories a sound pack manifest can provide
+const SOUND_SAMPLE_CATEGORIES = ['key', 'space', 'backspace', 'return', 'bell', 'feed'];
+
+// Categories without samples borrow from another one
+const SOUND_SAMPLE_FALLBACKS = {
+  space: 'key',
+  backspace: 'key',
+  feed: 'return'
+};
+
+// Per-pack tone shaping (manifest "tuning")
+const DEFAULT_PACK_TUNING = {
+  rate: 1,
+  gain: 1,
+  lowpass: 20000,
+  highpass: 20
+};
+
+// Physical key layout (KeyboardEvent.code), used to place keys in the stereo
+// field and to give each side of the keyboard its own samples
+const KEYBOARD_ROWS = [
+  ['Backquote', 'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9', 'Digit0', 'Minus', 'Equal', 'Backspace'],
+  ['Tab', 'KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI', 'KeyO', 'KeyP', 'BracketLeft', 'BracketRight', 'Backslash'],
+  ['CapsLock', 'KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ', 'KeyK', 'KeyL', 'Semicolon', 'Quote', 'Enter'],
+  ['ShiftLeft', 'IntlBackslash', 'KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM', 'Comma', 'Period', 'Slash', 'ShiftRight']
+];
+
+// code -> 0 (left edge) ... 1 (right edge)
+const KEY_POSITIONS = Object.fromEntries(
+  KEYBOARD_ROWS.flatMap(row => row.map((code, i) => [code, i / (row.length - 1)]))
+);
+
+// Keys with a sample category of their own; everything else is 'key'
+const KEY_GROUPS = {
+  ' ': 'space',
+  Backspace: 'backspace',
+  Delete: 'backspace',
+  Enter: 'return'
+};
+
+const KEY_PAN_WIDTH = 0.6; // How far the outer keys are panned (0-1)
+
+// Vintage effects chain (see setupVintageEffects() and the sound settings)
+const DEFAULT_AUDIO_EFFECTS = {
+  crackle: 0.12, // Max vinyl crackle volume
+  noiseLowpass: 3000, // Hz, warmth of the crackle
+  noiseHighpass: 300, // Hz, removes rumble from the crackle
+  reverbDecay: 0.4, // Exponent of the impulse decay (higher = shorter tail)
+  reverbDuration: 0.6, // s
+  wet: 0.10, // Reverb mix
+  dry: 0.85,
+  lofi: 6000 // Hz, low-pass on the typing sounds
+};
+
+const AUDIO_EFFECT_PRESETS = {
+  standard: { values: DEFAULT_AUDIO_EFFECTS },
+  dry: {
+    values: { crackle: 0, noiseLowpass: 3000, noiseHighpass: 300, reverbDecay: 0.4, reverbDuration: 0.6, wet: 0, dry: 1, lofi: 18000 }
+  },
+  office: {
+    values: { crackle: 0.04, noiseLowpass: 3000, noiseHighpass: 300, reverbDecay: 2, reverbDuration: 0.9, wet: 0.22, dry: 0.8, lofi: 9000 }
+  },
+  recording: {
+    values: { crackle: 0.3, noiseLowpass: 2200, noiseHighpass: 400, reverbDecay: 0.6, reverbDuration: 0.5, wet: 0.12, dry: 0.85, lofi: 3500 }
+  },
+  radio: {
+    values: { crackle: 0.08, noiseLowpass: 5000, noiseHighpass: 1200, reverbDecay: 1.5, reverbDuration: 0.3, wet: 0.06, dry: 0.9, lofi: 2800 }
+  }
+};
+
+// Voice pool: overlapping samples up to MAX_VOICES, then the oldest is stolen
+const MAX_VOICES = 10;
+const VOICE_ATTACK = 0.002; // s, avoids clicks when voices start on top of each other
+const VOICE_RELEASE = 0.03; // s, fade-out of a stolen voice
+const VOICE_BUS_SMOOTHING = 0.05; // s, time constant of the burst level control
+
+// Vinyl crackle envelope per keystroke
+const CRACKLE_ATTACK = 0.02; // s
+const CRACKLE_DECAY = 0.38; // s
+
+// Synthesized margin bell for packs without a bell sample:
+// inharmonic partials of a small struck bell
+const BELL_FREQUENCY = 1760;
+const BELL_PARTIALS = [
+  { ratio: 1, gain: 1, decay: 1.6 },
+  { ratio: 2.76, gain: 0.45, decay: 0.9 },
+  { ratio: 5.4, gain: 0.25, decay: 0.5 },
+  { ratio: 8.93, gain: 0.1, decay: 0.3 }
+];
+
+function createEmptySampleSet() {
+  return Object.fromEntries(SOUND_SAMPLE_CATEGORIES.map(category => [category, []]));
+}
+
+// Ambient room layers, generated locally and looped behind the typing
+// (labels are the 'ambience.<id>' messages)
+const AMBIENT_LAYERS = ['rain', 'hum', 'clock', 'fireplace'];
+
+const DEFAULT_AMBIENCE = Object.fromEntries(
+  AMBIENT_LAYERS.map(id => [id, { enabled: false, volume: 0.5 }])
+);
+
+const AMBIENT_FADE = 2; // s, fade in/out when a layer is toggled
+
+// Mono buffer of `seconds`, filled by `fill(data, sampleRate)`, for looping
+function createLoopBuffer(ctx, seconds, fill) {
+  const buffer = ctx.createBuffer(1, Math.floor(ctx.sampleRate * seconds), ctx.sampleRate);
+  fill(buffer.getChannelData(0), ctx.sampleRate);
+  return buffer;
+}
+
+function fillBrownNoise(data, level) {
+  let last = 0;
+  for (let i = 0; i < data.length; i++) {
+    last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+    data[i] += last * 3.5 * level;
+  }
+}
+
+// Add `count` short noise bursts (drops, pops) at random positions
+function addNoiseBursts(data, sampleRate, count, { length, level, shape = 3 }) {
+  for (let n = 0; n < count; n++) {
+    const start = Math.floor(Math.random() * data.length);
+    const burstLength = Math.floor(sampleRate * length * (0.5 + Math.random()));
+    const amplitude = level * (0.3 + Math.random() * 0.7);
+    for (let i = 0; i < burstLength && start + i < data.length; i++) {
+      data[start + i] += (Math.random() * 2 - 1) * amplitude * Math.pow(1 - i / burstLength, shape);
+    }
+  }
+}
+
+function createLoopSource(ctx, buffer) {
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  source.loop = true;
+  return source;
+}
+
+// Each generator returns { output, sources }: the node to mix and the
+// sources to start and stop
+const AMBIENT_GENERATORS = {
+  rain(ctx) {
+    const source = createLoopSource(ctx, createLoopBuffer(ctx, 7, (data, rate) => {
+      fillBrownNoise(data, 0.6);
+      for (let i = 0; i < data.length; i++) {
+        data[i] += (Math.random() * 2 - 1) * 0.04; // Hiss of the shower
+      }
+      addNoiseBursts(data, rate, 7 * 45, { length: 0.006, level: 0.25 }); // Drops on the glass
+    }));
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 4000;
+    source.connect(filter);
+    return { output: filter, sources: [source] };
+  },
+
+  hum(ctx) {
+    const output = ctx.createGain();
+    output.gain.value = 0.5;
+
+    // Mains hum of lamps and machines
+    const sources = [[50, 0.3], [100, 0.15], [150, 0.05]].map(([frequency, level]) => {
+      const oscillator = ctx.createOscillator();
+      const gain = ctx.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.value = level;
+      oscillator.connect(gain);
+      gain.connect(output);
+      return oscillator;
+    });
+
+    // Ventilation rumble
+    const air = createLoopSource(ctx, createLoopBuffer(ctx, 5, data => fillBrownNoise(data, 0.8)));
+    const airFilter = ctx.createBiquadFilter();
+    airFilter.type = 'lowpass';
+    airFilter.frequency.value = 400;
+    air.connect(airFilter);
+    airFilter.connect(output);
+
+    return { output, sources: [...sources, air] };
+  },
+
+  clock(ctx) {
+    // Tick and tock, one second apart: short damped resonances
+    const source = createLoopSource(ctx, createLoopBuffer(ctx, 2, (data, rate) => {
+      [[0, 2600], [1, 2100]].forEach(([second, frequency]) => {
+        const start = second * rate;
+        const length = Math.floor(rate * 0.03);
+        for (let i = 0; i < length; i++) {
+          const t = i / rate;
+          const envelope = Math.exp(-t / 0.004);
+          data[start + i] += (Math.sin(2 * Math.PI * frequency * t) * 0.5 + (Math.random() * 2 - 1) * 0.2) * envelope;
+        }
+      });
+    }));
+    return { output: source, sources: [source] };
+  },
+
+  fireplace(ctx) {
+    const source = createLoopSource(ctx, createLoopBuffer(ctx, 8, (data, rate) => {
+      fillBrownNoise(data, 0.9); // Roar of the flames
+      addNoiseBursts(data, rate, 8 * 10, { length: 0.003, level: 0.8, shape: 4 }); // Crackles
+      addNoiseBursts(data, rate, 8, { length: 0.15, level: 0.08, shape: 1 }); // Hissing wood
+    }));
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 5000;
+    source.connect(filter);
+    return { output: filter, sources: [source] };
+  }
+};
+
 class TypewriterSound {
   constructor() {
     this.audioContext = null;
-    this.keyBuffers = []; // Array of different key sounds
-    this.returnBuffer = null;
+    this.buffers = createEmptySampleSet(); // Decoded samples of the active pack
+    this.tuning = { ...DEFAULT_PACK_TUNING };
     this.volume = 0.5;
     this.enabled = true;
-    this.lastPlayTime = 0;
-    this.minInterval = 50; // Minimum ms between sounds
-    this.lastKeyIndex = -1; // Track last played key to avoid repetition
+    this.voices = []; // Playing voices, oldest first
+    this.crackle = null; // Running crackle envelope, see getCrackleLevel()
+    this.lastIndex = {}; // Last played sample per category, to avoid repetition
+    this.effects = { ...DEFAULT_AUDIO_EFFECTS };
+    this.ambientLayers = {}; // id -> { gain, sources, stopTimer }
+    this.lastKeyTime = 0;
+    this.typingInterval = 1000; // Smoothed ms between keystrokes
 
     // Vintage effects
     this.vinylNoiseNode = null;
@@ -24,45 +242,34 @@ class TypewriterSound {
 
     // Set up audio routing with vintage effects
     this.setupVintageEffects();
+  }
 
-    // Load all 55 individual key sounds for variety
-    const keyCount = 55;
-    const keyPromises = [];
-
-    for (let i = 1; i <= keyCount; i++) {
-      // Format: typewritersound.01key.wav, typewritersound.02key.wav, etc.
-      const num = i.toString().padStart(2, '0');
-      const url = `/assets/sounds/keys/typewritersound.${num}key.wav`;
-      keyPromises.push(fetch(url).then(r => {
-        if (!r.ok) console.error(`Failed to load: ${url}`);
-        return r;
+  // Decode all samples of a sound pack manifest and make it the active pack.
+  // `loadFile(path)` resolves with an ArrayBuffer for a path in the manifest.
+  async loadPack(manifest, loadFile) {
+    const buffers = createEmptySampleSet();
+
+    for (const category of SOUND_SAMPLE_CATEGORIES) {
+      const paths = manifest.samples?.[category] || [];
+      const decoded = await Promise.all(paths.map(async path => {
+        try {
+          const data = await loadFile(path);
+          return await this.audioContext.decodeAudioData(data);
+        } catch (e) {
+          console.error(`Failed to load sample ${path}:`, e);
+          return null;
+        }
       }));
+      buffers[category] = decoded.filter(Boolean);
     }
 
-    // Also load the return sound
-    keyPromises.push(fetch('/assets/sounds/return.wav'));
-
-    const responses = await Promise.all(keyPromises);
-    const arrayBuffers = await Promise.all(responses.map(r => r.arrayBuffer()));
-
-    // Decode all key sounds
-    for (let i = 0; i < keyCount; i++) {
-      try {
-        const buffer = await this.audioContext.decodeAudioData(arrayBuffers[i].slice(0));
-        this.keyBuffers.push(buffer);
-      } catch (e) {
-        console.error(`Failed to decode key ${i + 1}:`, e);
-      }
-    }
-
-    // Decode return sound (last one)
-    try {
-      this.returnBuffer = await this.audioContext.decodeAudioData(arrayBuffers[keyCount].slice(0));
-    } catch (e) {
-      console.error('Failed to decode return sound:', e);
-    }
+    this.buffers = buffers;
+    this.lastIndex = {};
+    this.tuning = { ...DEFAULT_PACK_TUNING, ...manifest.tuning };
+    this.packLowpass.frequency.value = this.tuning.lowpass;
+    this.packHighpass.frequency.value = this.tuning.highpass;
 
-    console.log(`Loaded ${this.keyBuffers.length} key sounds`);
+    console.log(`Loaded sound pack "${manifest.name}" (${buffers.key.length} key sounds)`);
   }
 
   setupVintageEffects() {
@@ -75,7 +282,6 @@ class TypewriterSound {
     // === VINYL CRACKLE/NOISE ===
     this.vinylGain = ctx.createGain();
     this.vinylGain.gain.value = 0; // Start silent, triggered with keystrokes
-    this.vinylMaxGain = 0.12; // Max crackle volume
     this.vinylGain.connect(this.masterGain);
 
     // Create vinyl noise buffer
@@ -91,43 +297,86 @@ class TypewriterSound {
     }
 
     // Low-pass filter for warmer noise
-    const noiseFilter = ctx.createBiquadFilter();
-    noiseFilter.type = 'lowpass';
-    noiseFilter.frequency.value = 3000;
-    noiseFilter.connect(this.vinylGain);
+    this.noiseFilter = ctx.createBiquadFilter();
+    this.noiseFilter.type = 'lowpass';
+    this.noiseFilter.connect(this.vinylGain);
 
     // High-pass to remove rumble
-    const noiseHipass = ctx.createBiquadFilter();
-    noiseHipass.type = 'highpass';
-    noiseHipass.frequency.value = 300;
-    noiseHipass.connect(noiseFilter);
+    this.noiseHipass = ctx.createBiquadFilter();
+    this.noiseHipass.type = 'highpass';
+    this.noiseHipass.connect(this.noiseFilter);
 
     // Start the noise loop
     this.vinylNoiseNode = ctx.createBufferSource();
     this.vinylNoiseNode.buffer = noiseBuffer;
     this.vinylNoiseNode.loop = true;
-    this.vinylNoiseNode.connect(noiseHipass);
+    this.vinylNoiseNode.connect(this.noiseHipass);
     this.vinylNoiseNode.start();
 
     // === REVERB (Convolver) ===
     this.convolver = ctx.createConvolver();
-    this.convolver.buffer = this.createReverbImpulse(0.4, 0.6); // Very subtle, short reverb
 
-    this.reverbGain = ctx.createGain();
-    this.reverbGain.gain.value = 0.10; // Reverb mix (wet) - reduced for subtler effect
+    this.reverbGain = ctx.createGain(); // Reverb mix (wet)
     this.convolver.connect(this.reverbGain);
     this.reverbGain.connect(this.masterGain);
 
-    this.dryGain = ctx.createGain();
-    this.dryGain.gain.value = 0.85; // Dry signal
+    this.dryGain = ctx.createGain(); // Dry signal
     this.dryGain.connect(this.masterGain);
 
-    // Lo-fi filter on the main signal
+    // Lo-fi filter on the main signal (slightly muffled, vintage feel)
     this.lofiFilter = ctx.createBiquadFilter();
     this.lofiFilter.type = 'lowpass';
-    this.lofiFilter.frequency.value = 6000; // Slightly muffled, vintage feel
     this.lofiFilter.connect(this.dryGain);
     this.lofiFilter.connect(this.convolver);
+
+    // Tone shaping of the active sound pack, in front of the lo-fi filter
+    this.packHighpass = ctx.createBiquadFilter();
+    this.packHighpass.type = 'highpass';
+    this.packHighpass.frequency.value = DEFAULT_PACK_TUNING.highpass;
+
+    this.packLowpass = ctx.createBiquadFilter();
+    this.packLowpass.type = 'lowpass';
+    this.packLowpass.frequency.value = DEFAULT_PACK_TUNING.lowpass;
+
+    this.packHighpass.connect(this.packLowpass);
+    this.packLowpass.connect(this.lofiFilter);
+
+    // All sample voices meet here; its level keeps bursts from clipping
+    this.voiceBus = ctx.createGain();
+    this.voiceBus.connect(this.packHighpass);
+
+    // Ambient layers join at the master bus, after the typing effects
+    this.ambienceGain = ctx.createGain();
+    this.ambienceGain.gain.value = this.enabled ? this.volume : 0;
+    this.ambienceGain.connect(this.masterGain);
+
+    this.reverbImpulse = null;
+    this.applyEffects(this.effects);
+  }
+
+  // Set the vintage effects chain. Works on the running graph: levels and
+  // filters glide to their new values, the reverb impulse is rebuilt when
+  // its shape changes.
+  applyEffects(effects) {
+    this.effects = { ...DEFAULT_AUDIO_EFFECTS, ...effects };
+    if (!this.audioContext) return;
+
+    const { crackle, noiseLowpass, noiseHighpass, reverbDecay, reverbDuration, wet, dry, lofi } = this.effects;
+    const now = this.audioContext.currentTime;
+    const glide = 0.05;
+
+    this.vinylMaxGain = crackle;
+    this.noiseFilter.frequency.setTargetAtTime(noiseLowpass, now, glide);
+    this.noiseHipass.frequency.setTargetAtTime(noiseHighpass, now, glide);
+    this.reverbGain.gain.setTargetAtTime(wet, now, glide);
+    this.dryGain.gain.setTargetAtTime(dry, now, glide);
+    this.lofiFilter.frequency.setTargetAtTime(lofi, now, glide);
+
+    const impulse = `${reverbDecay}/${reverbDuration}`;
+    if (impulse !== this.reverbImpulse) {
+      this.reverbImpulse = impulse;
+      this.convolver.buffer = this.createReverbImpulse(reverbDecay, reverbDuration);
+    }
   }
 
   createReverbImpulse(decay, duration) {
@@ -145,55 +394,197 @@ class TypewriterSound {
     return impulse;
   }
 
+  // Pick a random sample of a category (or its fallback), but avoid
+  // repeating the same one twice. With a keyboard `position` only a window
+  // of the samples is used, so each part of the keyboard keeps its own sound.
+  pickBuffer(category, position = null) {
+    let buffers = this.buffers[category];
+    if (!buffers?.length && SOUND_SAMPLE_FALLBACKS[category]) {
+      category = SOUND_SAMPLE_FALLBACKS[category];
+      buffers = this.buffers[category];
+    }
+    if (!buffers?.length) return null;
+
+    let start = 0;
+    let count = buffers.length;
+    if (position !== null && buffers.length > 3) {
+      count = Math.max(3, Math.ceil(buffers.length / 3));
+      start = Math.round(position * (buffers.length - count));
+    }
+
+    let index;
+    do {
+      index = start + Math.floor(Math.random() * count);
+    } while (index === this.lastIndex[category] && count > 1);
+
+    this.lastIndex[category] = index;
+    return buffers[index];
+  }
+
   play(isReturn = false) {
-    if (!this.enabled || !this.audioContext) return;
+    this.playSample(isReturn ? 'return' : 'key');
+  }
+
+  // Play the sound of a keystroke. The key's group picks the sample set, its
+  // place on the keyboard the stereo position, and the typing speed how hard
+  // the type bar strikes.
+  playKey(event) {
+    const now = performance.now();
+    const interval = now - this.lastKeyTime;
+    this.lastKeyTime = now;
 
-    const now = Date.now();
-    if (now - this.lastPlayTime < this.minInterval) return;
-    this.lastPlayTime = now;
+    // Smooth the interval so a single pause doesn't reset the rhythm
+    this.typingInterval = interval > 1000
+      ? 1000
+      : this.typingInterval + (interval - this.typingInterval) * 0.3;
+
+    // 0 = slow, deliberate strikes ... 1 = fast typing with a lighter touch
+    const speed = Math.min(1, Math.max(0, (600 - this.typingInterval) / 480));
+
+    const category = KEY_GROUPS[event.key] || 'key';
+    const position = KEY_POSITIONS[event.code] ?? 0.5;
+
+    if (category === 'return') {
+      this.playSample('return');
+      return;
+    }
+
+    let rate = 1 + speed * 0.05;
+    let gain = 1 - speed * 0.25 + (Math.random() - 0.5) * 0.1;
+
+    if (event.key === 'Shift') {
+      // Shift lifts the whole type basket: a dull, low thud
+      rate *= 0.75;
+      gain *= 0.5;
+    } else if (event.shiftKey && category === 'key') {
+      rate *= 0.95;
+      gain *= 1.1;
+    }
+
+    this.playSample(category, {
+      rate,
+      gain,
+      pan: (position - 0.5) * 2 * KEY_PAN_WIDTH,
+      position: category === 'key' ? position : null
+    });
+  }
+
+  playSample(category, { rate = 1, gain = 1, pan = 0, position = null } = {}) {
+    if (!this.enabled || !this.audioContext) return;
 
     // Resume audio context if suspended (required by browsers)
     if (this.audioContext.state === 'suspended') {
       this.audioContext.resume();
     }
 
-    let buffer;
-
-    if (isReturn) {
-      buffer = this.returnBuffer;
-    } else {
-      // Pick a random key sound, but avoid repeating the same one twice
-      let keyIndex;
-      do {
-        keyIndex = Math.floor(Math.random() * this.keyBuffers.length);
-      } while (keyIndex === this.lastKeyIndex && this.keyBuffers.length > 1);
+    const buffer = this.pickBuffer(category, position);
+    if (!buffer) return;
 
-      this.lastKeyIndex = keyIndex;
-      buffer = this.keyBuffers[keyIndex];
+    // Add slight pitch variation for even more natural feel
+    if (category !== 'return' && category !== 'feed') {
+      rate *= 0.92 + Math.random() * 0.16; // 0.92 - 1.08
     }
 
-    if (!buffer) return;
+    this.startVoice(buffer, {
+      rate: this.tuning.rate * rate,
+      gain: this.volume * this.tuning.gain * gain,
+      pan
+    });
 
-    const source = this.audioContext.createBufferSource();
-    const gainNode = this.audioContext.createGain();
+    // Trigger vinyl crackle with keystroke
+    this.triggerVinylCrackle();
+  }
 
-    source.buffer = buffer;
+  // Play a sample on a voice of the pool. When all voices are busy, the
+  // oldest one is faded out to make room (voice stealing).
+  startVoice(buffer, { rate = 1, gain = 1, pan = 0 } = {}) {
+    const ctx = this.audioContext;
+    const now = ctx.currentTime;
 
-    // Add slight pitch variation for even more natural feel
-    if (!isReturn) {
-      source.playbackRate.value = 0.92 + Math.random() * 0.16; // 0.92 - 1.08
+    if (this.voices.length >= MAX_VOICES) {
+      this.releaseVoice(this.voices[0], now);
     }
 
-    // Volume control
-    gainNode.gain.value = this.volume;
+    const source = ctx.createBufferSource();
+    const gainNode = ctx.createGain();
+    const panner = ctx.createStereoPanner();
+
+    source.buffer = buffer;
+    source.playbackRate.value = rate;
+    panner.pan.value = pan;
+
+    gainNode.gain.setValueAtTime(0, now);
+    gainNode.gain.linearRampToValueAtTime(gain, now + VOICE_ATTACK);
 
-    // Route through vintage effects chain
+    // Route through the pack's tone shaping and the vintage effects chain
     source.connect(gainNode);
-    gainNode.connect(this.lofiFilter);
-    source.start(0);
+    gainNode.connect(panner);
+    panner.connect(this.voiceBus);
+
+    const voice = { source, gainNode };
+    source.onended = () => {
+      this.voices = this.voices.filter(v => v !== voice);
+      panner.disconnect();
+      this.updateVoiceBus();
+    };
 
-    // Trigger vinyl crackle with keystroke
-    this.triggerVinylCrackle();
+    this.voices.push(voice);
+    source.start(now);
+    this.updateVoiceBus();
+  }
+
+  releaseVoice(voice, now) {
+    this.voices = this.voices.filter(v => v !== voice);
+    voice.gainNode.gain.cancelScheduledValues(now);
+    voice.gainNode.gain.setTargetAtTime(0, now, VOICE_RELEASE / 3);
+    voice.source.stop(now + VOICE_RELEASE);
+  }
+
+  // Overlapping voices add up; the bus follows 1/sqrt(voices), smoothed,
+  // so a rollover burst gets denser instead of louder
+  updateVoiceBus() {
+    const level = 1 / Math.sqrt(Math.max(1, this.voices.length));
+    this.voiceBus.gain.setTargetAtTime(level, this.audioContext.currentTime, VOICE_BUS_SMOOTHING);
+  }
+
+  // The margin bell: the pack's bell sample, or a synthesized bell when the
+  // pack has none
+  playBell() {
+    if (!this.enabled || !this.audioContext) return;
+
+    const ctx = this.audioContext;
+    if (ctx.state === 'suspended') {
+      ctx.resume();
+    }
+
+    const buffer = this.pickBuffer('bell');
+    if (buffer) {
+      this.startVoice(buffer, {
+        rate: this.tuning.rate,
+        gain: this.volume * this.tuning.gain
+      });
+      return;
+    }
+
+    const now = ctx.currentTime;
+    const output = ctx.createGain();
+    output.gain.value = this.volume * 0.25;
+    output.connect(this.lofiFilter);
+
+    BELL_PARTIALS.forEach(({ ratio, gain, decay }) => {
+      const oscillator = ctx.createOscillator();
+      const envelope = ctx.createGain();
+
+      oscillator.frequency.value = BELL_FREQUENCY * ratio;
+      envelope.gain.setValueAtTime(0, now);
+      envelope.gain.linearRampToValueAtTime(gain, now + 0.003);
+      envelope.gain.exponentialRampToValueAtTime(0.0001, now + decay);
+
+      oscillator.connect(envelope);
+      envelope.connect(output);
+      oscillator.start(now);
+      oscillator.stop(now + decay);
+    });
   }
 
   triggerVinylCrackle() {
@@ -202,18 +593,82 @@ class TypewriterSound {
     const ctx = this.audioContext;
     const now = ctx.currentTime;
     const gain = this.vinylGain.gain;
+    const peak = this.vinylMaxGain * this.volume;
+
+    // Continue from the running envelope instead of jumping: `gain.value`
+    // does not reflect scheduled ramps, so the level is computed
+    const level = this.getCrackleLevel(now);
+    const attack = peak > 0 ? Math.max(0.001, CRACKLE_ATTACK * (1 - level / peak)) : 0.001;
 
     // Cancel any scheduled changes
     gain.cancelScheduledValues(now);
 
     // Quick fade in, slow fade out (like the sound lingers)
-    gain.setValueAtTime(gain.value, now);
-    gain.linearRampToValueAtTime(this.vinylMaxGain * this.volume, now + 0.02); // 20ms attack
-    gain.linearRampToValueAtTime(0, now + 0.4); // 400ms decay
+    gain.setValueAtTime(level, now);
+    gain.linearRampToValueAtTime(peak, now + attack);
+    gain.linearRampToValueAtTime(0, now + attack + CRACKLE_DECAY);
+
+    this.crackle = { start: now, from: level, peak, attack };
+  }
+
+  // Level of the crackle envelope at an audio context time
+  getCrackleLevel(time) {
+    const envelope = this.crackle;
+    if (!envelope) return 0;
+
+    const elapsed = time - envelope.start;
+    if (elapsed < envelope.attack) {
+      return envelope.from + (envelope.peak - envelope.from) * (elapsed / envelope.attack);
+    }
+    return envelope.peak * Math.max(0, 1 - (elapsed - envelope.attack) / CRACKLE_DECAY);
+  }
+
+  // Start, stop or re-level an ambient layer (level 0 stops it). Layers
+  // fade in and out instead of starting abruptly.
+  setAmbientLayer(id, level) {
+    if (!this.audioContext || !AMBIENT_GENERATORS[id]) return;
+
+    const ctx = this.audioContext;
+    const now = ctx.currentTime;
+    let layer = this.ambientLayers[id];
+
+    if (level > 0 && !layer) {
+      const { output, sources } = AMBIENT_GENERATORS[id](ctx);
+      const gain = ctx.createGain();
+      gain.gain.value = 0;
+      output.connect(gain);
+      gain.connect(this.ambienceGain);
+      sources.forEach(source => source.start(now));
+      layer = this.ambientLayers[id] = { gain, sources, stopTimer: null };
+    }
+    if (!layer) return;
+
+    clearTimeout(layer.stopTimer);
+    layer.gain.gain.cancelScheduledValues(now);
+    layer.gain.gain.setTargetAtTime(level, now, AMBIENT_FADE / 3);
+
+    if (level <= 0) {
+      // Stop the sources once the fade-out is done
+      layer.stopTimer = setTimeout(() => {
+        layer.sources.forEach(source => source.stop());
+        layer.gain.disconnect();
+        if (this.ambientLayers[id] === layer) {
+          delete this.ambientLayers[id];
+        }
+      }, AMBIENT_FADE * 1500);
+    }
+  }
+
+  // The ambience follows the volume slider and the sound toggle
+  updateAmbienceBus() {
+    if (!this.ambienceGain) return;
+    const level = this.enabled ? this.volume : 0;
+    this.ambienceGain.gain.setTargetAtTime(level, this.audioContext.currentTime, 0.1);
   }
 
   setVolume(value) {
     this.volume = value;
+    this.updateAmbienceBus();
   }
 
   toggle() {
@@ -222,21 +677,667 @@ class TypewriterSound {
     if (this.vinylGain && !this.enabled) {
       this.vinylGain.gain.cancelScheduledValues(this.audioContext.currentTime);
       this.vinylGain.gain.value = 0;
+      this.crackle = null;
     }
+    this.updateAmbienceBus();
     return this.enabled;
   }
 }
 
+// ===== I18N =====
+// UI strings, one catalog per locale. t('key', { name }) fills in {name}
+// placeholders (numbers are formatted for the locale); entries with plural
+// forms ({ one, other }) are picked by params.count with Intl.PluralRules.
+// Keys missing from a catalog fall back to English.
+const LOCALES = {
+  en: 'English',
+  de: 'Deutsch'
+};
+const DEFAULT_LOCALE = 'en';
+
+const MESSAGES = {
+  en: {
+    'controls.theme': 'Theme',
+    'controls.font': 'Font',
+    'controls.volume': 'Volume',
+    'controls.sounds': 'Sounds',
+    'controls.language': 'Language',
+    'controls.soundToggle': 'Sound on/off',
+    'controls.newPage': 'New page',
+    'controls.settings': 'Settings',
+    'controls.open': 'Open',
+    'controls.openTitle': 'Open document',
+    'controls.save': 'Save',
+    'controls.saveTitle': 'Save document',
+    'controls.saveText': 'Save TXT',
+    'controls.saveTextTitle': 'Save text',
+    'controls.exportPng': 'Export PNG',
+    'controls.exportPngTitle': 'Export as PNG',
+    'controls.exportPdf': 'Export PDF',
+    'controls.exportPdfTitle': 'Export as PDF',
+    'controls.exit': 'Exit',
+
+    'nav.prevPage': 'Previous page',
+    'nav.nextPage': 'Next page',
+    'nav.page': 'Page {page} / {total}',
+
+    'status.chars': { one: '{count} character', other: '{count} characters' },
+    'status.words': { one: '{count} word', other: '{count} words' },
+    'status.showStats': 'Show statistics',
+    'status.strictMode': '1937 mode',
+    'status.strictModeTitle': 'No backspace, mistakes are struck out',
+    'status.redRibbon': 'Red ribbon',
+
+    'editor.placeholder': 'Start typing...',
+    'image.treatment': 'Photo treatment',
+    'image.treatment.none': 'None',
+    'image.treatment.newspaper': 'Newspaper',
+    'image.treatment.halftone': 'Halftone screen',
+    'image.treatment.sepia': 'Sepia photograph',
+    'image.treatment.cyanotype': 'Cyanotype',
+    'image.treatment.daguerreotype': 'Daguerreotype',
+    'image.treatment.xerox': 'Photocopy',
+    'image.treatment.torn': 'Torn paper',
+    'image.alignLeft': 'Align left',
+    'image.alignCenter': 'Centre',
+    'image.alignRight': 'Align right',
+    'image.width': 'Width',
+    'image.widthField': 'Width (% of the text width)',
+    'image.widthAuto': 'Automatic',
+    'image.caption': 'Caption',
+    'image.replace': 'Replace image',
+    'image.delete': 'Delete image',
+    'image.replaceFailed': 'The image could not be read.',
+
+    'common.cancel': 'Cancel',
+    'common.ok': 'OK',
+    'common.close': 'Close',
+    'common.save': 'Save',
+
+    'file.defaultName': 'document',
+    'file.pageName': 'document_page_{page}',
+    'file.pageMarker': '--- Page {page} ---',
+    'file.textFiles': 'Text files',
+    'file.document': 'Typewriter document',
+    'file.allSupported': 'All supported files',
+    'file.textMarkdown': 'Text / Markdown',
+    'file.pngImage': 'PNG image',
+    'file.images': 'Images',
+    'file.pdfDocument': 'PDF document',
+    'file.pngFolder': 'Choose a folder for the PNG export',
+    'file.saveFailed': 'Save failed',
+    'file.saveFailedBody': 'The document could not be saved and still has unsaved changes.',
+    'file.openFailed': 'Could not open the file',
+    'file.invalidDocument': 'This is not a valid Typewriter document.',
+
+    'export.titlePng': 'Export as PNG',
+    'export.titlePdf': 'Export as PDF',
+    'export.export': 'Export',
+    'export.frame': 'Frame',
+    'export.pageSize': 'Page size',
+    'export.pageSizeAuto': 'Automatic (content)',
+    'export.resolution': 'Resolution',
+    'export.marginX': 'Left/right margin (px)',
+    'export.marginY': 'Top/bottom margin (px)',
+    'export.paperColor': 'Paper colour',
+    'export.inkColor': 'Ink colour',
+    'export.useThemeColors': 'Use the theme colours',
+    'export.paperTexture': 'Paper texture',
+    'export.aging': 'Aging',
+    'export.failed': 'Export failed',
+    'export.failedBody': 'The pages could not be rendered.',
+
+    'frame.art-deco': 'Art Deco (1920s)',
+    'frame.elegant-1930s': 'Elegant (1930s)',
+    'frame.streamline': 'Streamline (1930s/40s)',
+    'frame.classic-1940s': 'Classic (1940s)',
+    'frame.art-nouveau': 'Art Nouveau (1920s)',
+    'frame.plain': 'Plain',
+    'frame.none': 'No frame',
+
+    'unsaved.title': 'Unsaved changes',
+    'unsaved.body': 'The document has unsaved changes. Do you want to save them?',
+    'unsaved.discard': 'Discard',
+
+    'restore.title': 'Restore last session?',
+    'restore.intro': 'There are automatically saved versions. Pick one to continue writing.',
+    'restore.startFresh': 'Start fresh',
+    'restore.latest': 'Restore latest',
+    'restore.pages': { one: '{count} page', other: '{count} pages' },
+    'restore.hint': 'Your document is saved automatically every 30 seconds. Pick a snapshot to continue from it.',
+    'restore.desktopOnly': 'Snapshots are only kept in the desktop app.',
+    'restore.empty': 'There are no snapshots yet.',
+
+    'strict.hint': 'In 1937 mode there is no backspace: earlier text can be read but not typed into, and mistakes are struck out with the overstrike shortcut.',
+    'strict.mode': '1937 mode',
+    'strict.correction': 'Correction',
+    'strict.x': 'Type X over it',
+    'strict.line': 'Strike through',
+
+    'stats.session': { one: 'Session: {count} word', other: 'Session: {count} words' },
+    'stats.wpm': '{count} WPM',
+    'stats.dailyGoal': 'Daily goal {today} / {goal}',
+    'stats.goalField': 'Daily goal (words, 0 = off)',
+    'stats.empty': 'No entries yet.',
+    'stats.day': 'Day',
+    'stats.words': 'Words',
+    'stats.time': 'Time',
+    'stats.wpmColumn': 'WPM',
+    'stats.exportCsv': 'Export as CSV',
+    'stats.fileName': 'writing-stats-{date}',
+
+    'focus.mode': 'Focus mode',
+    'focus.scrolling': 'Typewriter scrolling',
+    'focus.dim': 'Dim',
+    'focus.dimOff': 'Off',
+    'focus.dimLine': 'Everything but the current line',
+    'focus.dimParagraph': 'Everything but the current paragraph',
+    'focus.hideChrome': 'Hide the bars while typing',
+
+    'crt.hint': 'Applies to themes with the CRT effect, e.g. Terminal Green. Curvature bends the scanlines and the edge of the screen. Lite mode is easier on slower machines.',
+    'crt.scanlines': 'Scanlines',
+    'crt.bloom': 'Phosphor glow',
+    'crt.aberration': 'Colour fringes',
+    'crt.curvature': 'Curvature',
+    'crt.flicker': 'Flicker',
+    'crt.rollingBar': 'Rolling bar',
+    'crt.lite': 'Lite mode',
+
+    'ribbon.hint': 'Uneven ink and a ribbon that fades over long texts – in the editor and in the export.',
+    'ribbon.enabled': 'Ribbon effect',
+    'ribbon.variation': 'Unevenness',
+    'ribbon.fade': 'Fading',
+    'ribbon.fadeNever': 'Never',
+    'ribbon.fadeAfter': 'After {count} characters',
+    'ribbon.color': 'Colour',
+    'ribbon.black': 'Black',
+    'ribbon.red': 'Red',
+
+    'bell.hint': 'The bell rings shortly before the right margin. With a hard margin the keys lock there until you press Enter.',
+    'bell.enabled': 'Margin bell',
+    'bell.measure': 'Columns',
+    'bell.measureChars': 'Count characters',
+    'bell.measureFont': 'Measure the font width',
+    'bell.lineWidth': 'Line width (characters)',
+    'bell.warning': 'Bell before the margin',
+    'bell.hardStop': 'Hard margin',
+
+    'effects.preset': 'Preset',
+    'effects.custom': 'Custom',
+    'effects.preset.standard': 'Standard',
+    'effects.preset.dry': 'Dry',
+    'effects.preset.office': 'Small office',
+    'effects.preset.recording': 'Old recording',
+    'effects.preset.radio': 'Radio',
+    'effects.crackle': 'Crackle',
+    'effects.noiseLowpass': 'Crackle highs (Hz)',
+    'effects.noiseHighpass': 'Crackle lows (Hz)',
+    'effects.reverbDuration': 'Reverb length (s)',
+    'effects.reverbDecay': 'Reverb decay',
+    'effects.wet': 'Reverb mix',
+    'effects.dry': 'Direct signal',
+    'effects.lofi': 'Lo-fi low-pass (Hz)',
+
+    'ambience.hint': 'Background sounds. They follow the volume and the sound toggle.',
+    'ambience.rain': 'Rain on the window',
+    'ambience.hum': 'Office hum',
+    'ambience.clock': 'Ticking clock',
+    'ambience.fireplace': 'Fireplace',
+
+    'soundPack.import': 'Import…',
+    'soundPack.chooseFolder': 'Choose a folder with sounds',
+    'soundPack.importTitle': 'Import sound pack',
+    'soundPack.noSounds': 'No key sounds (WAV/OGG) were found in this folder.',
+    'soundPack.importFailed': 'The sound pack could not be imported.',
+
+    'shortcut.save': 'Save',
+    'shortcut.saveAs': 'Save as…',
+    'shortcut.open': 'Open',
+    'shortcut.exportPng': 'Export PNG',
+    'shortcut.exportPdf': 'Export PDF',
+    'shortcut.undo': 'Undo',
+    'shortcut.redo': 'Redo',
+    'shortcut.prevPage': 'Previous page',
+    'shortcut.nextPage': 'Next page',
+    'shortcut.nextFont': 'Next font',
+    'shortcut.nextTheme': 'Next theme',
+    'shortcut.toggleSound': 'Sound on/off',
+    'shortcut.overstrike': 'Strike out character',
+    'shortcut.toggleFocusMode': 'Focus mode on/off',
+    'shortcut.toggleRibbonColor': 'Ribbon red/black',
+    'shortcut.toggleStrictMode': '1937 mode on/off',
+    'shortcut.settings': 'Settings',
+
+    'keymap.mod': 'Ctrl',
+    'keymap.shift': 'Shift',
+    'keymap.pressKey': 'Press a key…',
+    'keymap.hint': 'Click a shortcut and press the new combination (with Ctrl/⌘ or Alt). Delete removes it, Esc cancels.',
+    'keymap.reset': 'Restore defaults',
+
+    'settings.title': 'Settings',
+    'settings.shortcuts': 'Shortcuts',
+    'settings.writingMode': 'Writing mode',
+    'settings.themes': 'Themes',
+    'settings.crt': 'CRT',
+    'settings.stats': 'Statistics',
+    'settings.focus': 'Focus',
+    'settings.ribbon': 'Ribbon',
+    'settings.marginBell': 'Margin bell',
+    'settings.sound': 'Sound',
+    'settings.ambience': 'Ambience',
+    'settings.snapshots': 'Snapshots',
+
+    'theme.vintage-brown': 'Vintage Brown',
+    'theme.retro-orange': 'Retro Orange',
+    'theme.terminal-green': 'Terminal Green',
+    'theme.custom': 'Custom theme',
+    'theme.copy': '{name} (copy)',
+    'theme.theme': 'Theme',
+    'theme.name': 'Name',
+    'theme.crt': 'CRT effect',
+    'theme.use': 'Use',
+    'theme.new': 'New',
+    'theme.duplicate': 'Duplicate',
+    'theme.delete': 'Delete',
+    'theme.import': 'Import…',
+    'theme.export': 'Export…',
+    'theme.builtinHint': 'Built-in themes cannot be changed – duplicate one to adjust it.',
+    'theme.importTitle': 'Import theme',
+    'theme.invalid': 'The file does not contain a valid theme.',
+    'theme.color.bg-primary': 'Background',
+    'theme.color.bg-secondary': 'Background (dark)',
+    'theme.color.bg-paper': 'Paper',
+    'theme.color.text-primary': 'Text',
+    'theme.color.text-secondary': 'Text (muted)',
+    'theme.color.accent': 'Accent',
+    'theme.color.control-bg': 'Bars',
+    'theme.color.control-text': 'Bar text'
+  },
+
+  de: {
+    'controls.theme': 'Theme',
+    'controls.font': 'Schrift',
+    'controls.volume': 'Lautstärke',
+    'controls.sounds': 'Sounds',
+    'controls.language': 'Sprache',
+    'controls.soundToggle': 'Sound an/aus',
+    'controls.newPage': 'Neue Seite',
+    'controls.settings': 'Einstellungen',
+    'controls.open': 'Öffnen',
+    'controls.openTitle': 'Dokument öffnen',
+    'controls.save': 'Speichern',
+    'controls.saveTitle': 'Dokument speichern',
+    'controls.saveText': 'TXT speichern',
+    'controls.saveTextTitle': 'Text speichern',
+    'controls.exportPng': 'PNG exportieren',
+    'controls.exportPngTitle': 'Als PNG exportieren',
+    'controls.exportPdf': 'PDF exportieren',
+    'controls.exportPdfTitle': 'Als PDF exportieren',
+    'controls.exit': 'Beenden',
+
+    'nav.prevPage': 'Vorherige Seite',
+    'nav.nextPage': 'Nächste Seite',
+    'nav.page': 'Seite {page} / {total}',
+
+    'status.chars': { one: '{count} Zeichen', other: '{count} Zeichen' },
+    'status.words': { one: '{count} Wort', other: '{count} Wörter' },
+    'status.showStats': 'Statistik anzeigen',
+    'status.strictMode': '1937-Modus',
+    'status.strictModeTitle': 'Keine Rücktaste, Fehler werden gestrichen',
+    'status.redRibbon': 'Rotes Farbband',
+
+    'editor.placeholder': 'Beginne zu schreiben...',
+    'image.treatment': 'Fotoeffekt',
+    'image.treatment.none': 'Keiner',
+    'image.treatment.newspaper': 'Zeitung',
+    'image.treatment.halftone': 'Rasterdruck',
+    'image.treatment.sepia': 'Sepia-Fotografie',
+    'image.treatment.cyanotype': 'Cyanotypie',
+    'image.treatment.daguerreotype': 'Daguerreotypie',
+    'image.treatment.xerox': 'Fotokopie',
+    'image.treatment.torn': 'Abgerissenes Papier',
+    'image.alignLeft': 'Linksbündig',
+    'image.alignCenter': 'Zentriert',
+    'image.alignRight': 'Rechtsbündig',
+    'image.width': 'Breite',
+    'image.widthField': 'Breite (% der Textbreite)',
+    'image.widthAuto': 'Automatisch',
+    'image.caption': 'Bildunterschrift',
+    'image.replace': 'Bild ersetzen',
+    'image.delete': 'Bild löschen',
+    'image.replaceFailed': 'Das Bild konnte nicht gelesen werden.',
+
+    'common.cancel': 'Abbrechen',
+    'common.ok': 'OK',
+    'common.close': 'Schließen',
+    'common.save': 'Speichern',
+
+    'file.defaultName': 'dokument',
+    'file.pageName': 'dokument_seite_{page}',
+    'file.pageMarker': '--- Seite {page} ---',
+    'file.textFiles': 'Textdateien',
+    'file.document': 'Typewriter-Dokument',
+    'file.allSupported': 'Alle unterstützten Dateien',
+    'file.textMarkdown': 'Text / Markdown',
+    'file.pngImage': 'PNG-Bild',
+    'file.images': 'Bilder',
+    'file.pdfDocument': 'PDF-Dokument',
+    'file.pngFolder': 'Ordner für PNG-Export wählen',
+    'file.saveFailed': 'Speichern fehlgeschlagen',
+    'file.saveFailedBody': 'Das Dokument konnte nicht gespeichert werden und hat weiterhin ungespeicherte Änderungen.',
+    'file.openFailed': 'Die Datei konnte nicht geöffnet werden',
+    'file.invalidDocument': 'Dies ist kein gültiges Typewriter-Dokument.',
+
+    'export.titlePng': 'Als PNG exportieren',
+    'export.titlePdf': 'Als PDF exportieren',
+    'export.export': 'Exportieren',
+    'export.frame': 'Rahmen',
+    'export.pageSize': 'Seitenformat',
+    'export.pageSizeAuto': 'Automatisch (Inhalt)',
+    'export.resolution': 'Auflösung',
+    'export.marginX': 'Rand links/rechts (px)',
+    'export.marginY': 'Rand oben/unten (px)',
+    'export.paperColor': 'Papierfarbe',
+    'export.inkColor': 'Tintenfarbe',
+    'export.useThemeColors': 'Farben des Themes verwenden',
+    'export.paperTexture': 'Papierstruktur',
+    'export.aging': 'Alterung',
+    'export.failed': 'Export fehlgeschlagen',
+    'export.failedBody': 'Die Seiten konnten nicht gerendert werden.',
+
+    'frame.art-deco': 'Art Deco (1920er)',
+    'frame.elegant-1930s': 'Elegant (1930er)',
+    'frame.streamline': 'Stromlinie (1930er/40er)',
+    'frame.classic-1940s': 'Klassisch (1940er)',
+    'frame.art-nouveau': 'Jugendstil (1920er)',
+    'frame.plain': 'Schlicht',
+    'frame.none': 'Kein Rahmen',
+
+    'unsaved.title': 'Ungespeicherte Änderungen',
+    'unsaved.body': 'Das Dokument enthält ungespeicherte Änderungen. Möchtest du sie speichern?',
+    'unsaved.discard': 'Verwerfen',
+
+    'restore.title': 'Letzte Sitzung wiederherstellen?',
+    'restore.intro': 'Es gibt automatisch gesicherte Stände. Wähle einen aus, um weiterzuschreiben.',
+    'restore.startFresh': 'Neu beginnen',
+    'restore.latest': 'Letzte wiederherstellen',
+    'restore.pages': { one: '{count} Seite', other: '{count} Seiten' },
+    'restore.hint': 'Dein Dokument wird alle 30 Sekunden automatisch gesichert. Wähle einen Stand, um dort weiterzumachen.',
+    'restore.desktopOnly': 'Sicherungen gibt es nur in der Desktop-App.',
+    'restore.empty': 'Es gibt noch keine Sicherungen.',
+
+    'strict.hint': 'Im 1937-Modus gibt es keine Rücktaste: Früherer Text lässt sich lesen, aber nicht mehr ergänzen, Fehler werden mit dem Übertippen-Kürzel gestrichen.',
+    'strict.mode': '1937-Modus',
+    'strict.correction': 'Korrektur',
+    'strict.x': 'Mit X übertippen',
+    'strict.line': 'Durchstreichen',
+
+    'stats.session': { one: 'Sitzung: {count} Wort', other: 'Sitzung: {count} Wörter' },
+    'stats.wpm': '{count} WPM',
+    'stats.dailyGoal': 'Tagesziel {today} / {goal}',
+    'stats.goalField': 'Tagesziel (Wörter, 0 = aus)',
+    'stats.empty': 'Noch keine Einträge.',
+    'stats.day': 'Tag',
+    'stats.words': 'Wörter',
+    'stats.time': 'Zeit',
+    'stats.wpmColumn': 'WPM',
+    'stats.exportCsv': 'Als CSV exportieren',
+    'stats.fileName': 'schreibstatistik-{date}',
+
+    'focus.mode': 'Fokusmodus',
+    'focus.scrolling': 'Schreibmaschinen-Scrollen',
+    'focus.dim': 'Abdunkeln',
+    'focus.dimOff': 'Aus',
+    'focus.dimLine': 'Alles außer der aktuellen Zeile',
+    'focus.dimParagraph': 'Alles außer dem aktuellen Absatz',
+    'focus.hideChrome': 'Leisten beim Tippen ausblenden',
+
+    'crt.hint': 'Wirkt bei Themes mit CRT-Effekt, z. B. Terminal Grün. Die Wölbung biegt die Zeilen und den Rand des Bildschirms. Der einfache Modus schont schwächere Rechner.',
+    'crt.scanlines': 'Scanlines',
+    'crt.bloom': 'Phosphor-Leuchten',
+    'crt.aberration': 'Farbsaum',
+    'crt.curvature': 'Wölbung',
+    'crt.flicker': 'Flimmern',
+    'crt.rollingBar': 'Laufender Balken',
+    'crt.lite': 'Einfacher Modus',
+
+    'ribbon.hint': 'Ungleichmäßige Farbe und ein Farbband, das über lange Texte blasser wird – im Editor und im Export.',
+    'ribbon.enabled': 'Farbband-Effekt',
+    'ribbon.variation': 'Ungleichmäßigkeit',
+    'ribbon.fade': 'Verblassen',
+    'ribbon.fadeNever': 'Nie',
+    'ribbon.fadeAfter': 'Nach {count} Zeichen',
+    'ribbon.color': 'Farbe',
+    'ribbon.black': 'Schwarz',
+    'ribbon.red': 'Rot',
+
+    'bell.hint': 'Die Glocke läutet kurz vor dem rechten Rand. Mit festem Rand sperren die Tasten dort, bis du Enter drückst.',
+    'bell.enabled': 'Randglocke',
+    'bell.measure': 'Spalten',
+    'bell.measureChars': 'Zeichen zählen',
+    'bell.measureFont': 'Nach Schriftbreite messen',
+    'bell.lineWidth': 'Zeilenbreite (Zeichen)',
+    'bell.warning': 'Glocke vor dem Rand',
+    'bell.hardStop': 'Fester Rand',
+
+    'effects.preset': 'Voreinstellung',
+    'effects.custom': 'Eigene Einstellung',
+    'effects.preset.standard': 'Standard',
+    'effects.preset.dry': 'Trocken',
+    'effects.preset.office': 'Kleines Büro',
+    'effects.preset.recording': 'Alte Aufnahme',
+    'effects.preset.radio': 'Radio',
+    'effects.crackle': 'Knistern',
+    'effects.noiseLowpass': 'Knistern Höhen (Hz)',
+    'effects.noiseHighpass': 'Knistern Tiefen (Hz)',
+    'effects.reverbDuration': 'Hall Länge (s)',
+    'effects.reverbDecay': 'Hall Abklingen',
+    'effects.wet': 'Hall Anteil',
+    'effects.dry': 'Direktsignal',
+    'effects.lofi': 'Lo-Fi Tiefpass (Hz)',
+
+    'ambience.hint': 'Geräusche im Hintergrund. Sie folgen der Lautstärke und dem Sound-Schalter.',
+    'ambience.rain': 'Regen am Fenster',
+    'ambience.hum': 'Büro-Brummen',
+    'ambience.clock': 'Tickende Uhr',
+    'ambience.fireplace': 'Kaminfeuer',
+
+    'soundPack.import': 'Importieren…',
+    'soundPack.chooseFolder': 'Ordner mit Sounds wählen',
+    'soundPack.importTitle': 'Sound-Pack importieren',
+    'soundPack.noSounds': 'In diesem Ordner wurden keine Tasten-Sounds (WAV/OGG) gefunden.',
+    'soundPack.importFailed': 'Das Sound-Pack konnte nicht importiert werden.',
+
+    'shortcut.save': 'Speichern',
+    'shortcut.saveAs': 'Speichern unter…',
+    'shortcut.open': 'Öffnen',
+    'shortcut.exportPng': 'PNG exportieren',
+    'shortcut.exportPdf': 'PDF exportieren',
+    'shortcut.undo': 'Rückgängig',
+    'shortcut.redo': 'Wiederholen',
+    'shortcut.prevPage': 'Vorherige Seite',
+    'shortcut.nextPage': 'Nächste Seite',
+    'shortcut.nextFont': 'Nächste Schrift',
+    'shortcut.nextTheme': 'Nächstes Theme',
+    'shortcut.toggleSound': 'Ton an/aus',
+    'shortcut.overstrike': 'Zeichen übertippen',
+    'shortcut.toggleFocusMode': 'Fokusmodus an/aus',
+    'shortcut.toggleRibbonColor': 'Farbband rot/schwarz',
+    'shortcut.toggleStrictMode': '1937-Modus an/aus',
+    'shortcut.settings': 'Einstellungen',
+
+    'keymap.mod': 'Strg',
+    'keymap.shift': 'Umschalt',
+    'keymap.pressKey': 'Taste drücken…',
+    'keymap.hint': 'Klicke auf ein Kürzel und drücke die neue Kombination (mit Strg/⌘ oder Alt). Entf entfernt es, Esc bricht ab.',
+    'keymap.reset': 'Standard wiederherstellen',
+
+    'settings.title': 'Einstellungen',
+    'settings.shortcuts': 'Tastenkürzel',
+    'settings.writingMode': 'Schreibmodus',
+    'settings.themes': 'Themes',
+    'settings.crt': 'CRT',
+    'settings.stats': 'Statistik',
+    'settings.focus': 'Fokus',
+    'settings.ribbon': 'Farbband',
+    'settings.marginBell': 'Randglocke',
+    'settings.sound': 'Klang',
+    'settings.ambience': 'Atmosphäre',
+    'settings.snapshots': 'Sicherungen',
+
+    'theme.vintage-brown': 'Vintage Braun',
+    'theme.retro-orange': 'Retro Orange',
+    'theme.terminal-green': 'Terminal Grün',
+    'theme.custom': 'Eigenes Theme',
+    'theme.copy': '{name} (Kopie)',
+    'theme.theme': 'Theme',
+    'theme.name': 'Name',
+    'theme.crt': 'CRT-Effekt',
+    'theme.use': 'Verwenden',
+    'theme.new': 'Neu',
+    'theme.duplicate': 'Duplizieren',
+    'theme.delete': 'Löschen',
+    'theme.import': 'Importieren…',
+    'theme.export': 'Exportieren…',
+    'theme.builtinHint': 'Eingebaute Themes lassen sich nicht ändern – dupliziere eines, um es anzupassen.',
+    'theme.importTitle': 'Theme importieren',
+    'theme.invalid': 'Die Datei enthält kein gültiges Theme.',
+    'theme.color.bg-primary': 'Hintergrund',
+    'theme.color.bg-secondary': 'Hintergrund (dunkel)',
+    'theme.color.bg-paper': 'Papier',
+    'theme.color.text-primary': 'Text',
+    'theme.color.text-secondary': 'Text (gedämpft)',
+    'theme.color.accent': 'Akzent',
+    'theme.color.control-bg': 'Leisten',
+    'theme.color.control-text': 'Leisten-Text'
+  }
+};
+
+let currentLocale = DEFAULT_LOCALE;
+let pluralRules = new Intl.PluralRules(DEFAULT_LOCALE);
+
+function t(key, params = {}) {
+  let message = MESSAGES[currentLocale][key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  if (typeof message === 'object') {
+    message = message[pluralRules.select(params.count ?? 0)] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined) return match;
+    return typeof value === 'number' ? value.toLocaleString(currentLocale) : String(value);
+  });
+}
+
+// Static markup: data-i18n sets the text, data-i18n-title the tooltip
+function translateElements(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-title]').forEach(element => {
+    element.title = t(element.dataset.i18nTitle);
+  });
+}
+
+// Re-render everything that shows text in the current locale
+function applyLanguage() {
+  currentLocale = MESSAGES[state.language] ? state.language : DEFAULT_LOCALE;
+  pluralRules = new Intl.PluralRules(currentLocale);
+  document.documentElement.lang = currentLocale;
+  languageSelect.value = currentLocale;
+  document.body.style.setProperty('--editor-placeholder', JSON.stringify(t('editor.placeholder')));
+
+  translateElements();
+  populateThemeSelect();
+  populateSoundPackSelect();
+  updatePageIndicator();
+  updateCounts();
+  updateStatsDisplay();
+}
+
+function setLanguage(locale) {
+  state.language = locale;
+  applyLanguage();
+  savePreferences();
+}
+
 // ===== APP STATE =====
+// PNG/PDF export defaults (see showExportDialog())
+const DEFAULT_EXPORT_SETTINGS = {
+  scale: 2,
+  pageSize: 'auto', // PNG: 'auto' grows with the content, else a PDF_PAGE_SIZES key
+  pdfPageSize: 'a4', // PDF always needs real paper, so it keeps its own size
+  marginX: 60,
+  marginY: 80,
+  paperColor: '#F5F0E6',
+  inkColor: '#2C1810',
+  paperTexture: true,
+  aging: true,
+  useThemeColors: false // Paper and ink from the active theme instead
+};
+
+// Margin bell defaults (see checkMarginBell())
+const DEFAULT_MARGIN_BELL = {
+  enabled: false,
+  measure: 'chars', // 'chars' counts characters, 'font' measures the text in its font
+  lineWidth: 65, // Characters per line
+  warning: 8, // Bell rings this many characters before the margin
+  hardStop: false // Lock the keys at the margin until Enter
+};
+
+// Focus mode options (see FOCUS MODE)
+const DEFAULT_FOCUS = {
+  typewriterScrolling: true, // Keep the caret line vertically centred
+  dim: 'paragraph', // Dim text away from the caret: 'off', 'line' or 'paragraph'
+  hideChrome: true // Hide the control and status bar while typing
+};
+
+// Ink ribbon defaults (see INK RIBBON)
+const DEFAULT_RIBBON = {
+  enabled: false, // The editor filter is costly, so it is opt-in
+  variation: 0.5, // 0 = clean type ... 1 = very uneven
+  fadeLength: 60000 // Characters until the ribbon is at its faintest, 0 = never fades
+};
+
+// CRT effect intensities, 0 ... 1 (see CRT EFFECTS)
+const DEFAULT_CRT = {
+  scanlines: 0.5,
+  bloom: 0.5, // Phosphor glow around the text
+  aberration: 0.3, // Red/blue colour fringes
+  curvature: 0.3, // Barrel distortion of the scanlines and screen edge (not the editor)
+  flicker: 0.3,
+  rollingBar: 0.3, // Bright band slowly rolling down the screen
+  lite: (navigator.hardwareConcurrency || 4) <= 2 // Static scanlines and vignette only
+};
+
 const state = {
+  language: DEFAULT_LOCALE,
   theme: 'vintage-brown',
   font: 'special-elite',
+  exportSettings: { ...DEFAULT_EXPORT_SETTINGS },
+  keymap: {}, // action -> key combo, see DEFAULT_KEYMAP
+  soundPack: 'classic',
+  marginBell: { ...DEFAULT_MARGIN_BELL },
+  audioEffects: { ...DEFAULT_AUDIO_EFFECTS },
+  ambience: structuredClone(DEFAULT_AMBIENCE),
+  strictMode: false, // 1937 mode: no Backspace, the caret only moves forward
+  strikeStyle: 'x', // How overstrike() marks a character: 'x' or 'line'
+  ribbon: { ...DEFAULT_RIBBON },
+  ribbonColor: 'black', // Colour new text is typed in: 'black' or 'red'
+  focusMode: false,
+  focus: { ...DEFAULT_FOCUS },
+  crt: { ...DEFAULT_CRT },
+  dailyGoal: 500, // Words per day, 0 = no goal
+  frameStyle: 'art-deco', // Export frame, stored with the document
+  filePath: null, // Path of the open .typewriter document
+  dirty: false, // Unsaved changes since the last save/open
   sound: new TypewriterSound()
 };
 
 // ===== DOM ELEMENTS =====
-let pagesContainer, themeSelect, fontSelect, volumeSlider, soundToggle, newPageBtn;
-let charCount, wordCount, saveBtn, exportPngBtn, exitBtn;
+let pagesContainer, themeSelect, fontSelect, volumeSlider, soundToggle, newPageBtn, settingsBtn;
+let languageSelect, soundPackSelect, sessionStats, sessionSummary, goalIndicator, goalFill, goalText;
+let charCount, wordCount, saveBtn, exportPngBtn, exportPdfBtn, exitBtn, openBtn, saveDocBtn;
 let prevPageBtn, nextPageBtn, pageIndicator;
 
 // ===== PAGE MANAGEMENT =====
@@ -252,12 +1353,23 @@ async function init() {
   fontSelect = document.getElementById('font-select');
   volumeSlider = document.getElementById('volume-slider');
   soundToggle = document.getElementById('sound-toggle');
+  soundPackSelect = document.getElementById('sound-pack-select');
+  languageSelect = document.getElementById('language-select');
+  sessionStats = document.getElementById('session-stats');
+  sessionSummary = document.getElementById('session-summary');
+  goalIndicator = document.getElementById('goal-indicator');
+  goalFill = document.getElementById('goal-fill');
+  goalText = document.getElementById('goal-text');
   charCount = document.getElementById('char-count');
   wordCount = document.getElementById('word-count');
   saveBtn = document.getElementById('save-btn');
+  openBtn = document.getElementById('open-btn');
+  saveDocBtn = document.getElementById('save-doc-btn');
   exportPngBtn = document.getElementById('export-png-btn');
+  exportPdfBtn = document.getElementById('export-pdf-btn');
   exitBtn = document.getElementById('exit-btn');
   newPageBtn = document.getElementById('new-page-btn');
+  settingsBtn = document.getElementById('settings-btn');
   prevPageBtn = document.getElementById('prev-page-btn');
   nextPageBtn = document.getElementById('next-page-btn');
   pageIndicator = document.getElementById('page-indicator');
@@ -276,11 +1388,34 @@ async function init() {
   // Set up event listeners
   setupEventListeners();
 
+  Object.entries(LOCALES).forEach(([locale, name]) => {
+    languageSelect.appendChild(new Option(name, locale));
+  });
+
+  // Custom themes first, so a saved custom theme can be applied
+  loadCustomThemes();
+
   // Load saved preferences
   loadPreferences();
+  applyLanguage();
+  loadKeymap();
+  applyRibbonSettings();
+  document.body.dataset.ribbonColor = state.ribbonColor;
+  applyFocusMode();
+  applyCrtEffects();
+  loadStats();
+  updateStatsDisplay();
+
+  // Load the bundled and imported sound packs, then the chosen one
+  await initSoundPacks();
+  applyAmbience();
 
   // Focus first page editor
   focusCurrentPage();
+
+  // Offer crash recovery, then keep snapshotting the document
+  await offerSessionRestore();
+  startAutosave();
 }
 
 // Get the current page's editor element
@@ -292,6 +1427,16 @@ function setupEventListeners() {
   // Use event delegation for page editors
   pagesContainer.addEventListener('keydown', handleKeyDown);
   pagesContainer.addEventListener('input', handleInput);
+  pagesContainer.addEventListener('beforeinput', handleBeforeInput);
+  document.addEventListener('selectionchange', handleStrictSelectionChange);
+  document.addEventListener('selectionchange', scheduleFocusUpdate);
+  pagesContainer.addEventListener('keydown', handleFocusTyping);
+  document.addEventListener('mousemove', handleFocusMouseMove);
+
+  // Language selection
+  languageSelect.addEventListener('change', (e) => {
+    setLanguage(e.target.value);
+  });
 
   // Theme selection
   themeSelect.addEventListener('change', (e) => {
@@ -308,7 +1453,9 @@ function setupEventListeners() {
     // Check if there's a text selection
     if (selection && !selection.isCollapsed && selection.toString().length > 0) {
       // Wrap selected text in a span with the new font
+      recordHistory('font');
       applyFontToSelection(selection, newFont);
+      markDirty();
     } else {
       // No selection - update current line's font (find line at cursor)
       if (selection.rangeCount > 0) {
@@ -318,7 +1465,9 @@ function setupEventListeners() {
           currentLine = currentLine.parentElement;
         }
         if (currentLine?.classList.contains('line')) {
+          recordHistory('font');
           currentLine.dataset.font = newFont;
+          markDirty();
         }
       }
     }
@@ -330,6 +1479,22 @@ function setupEventListeners() {
     savePreferences();
   });
 
+  // Sound pack selection (last entry imports a new pack)
+  soundPackSelect.addEventListener('change', async (e) => {
+    if (e.target.value !== SOUND_PACK_IMPORT) {
+      setSoundPack(e.target.value);
+      return;
+    }
+
+    const id = await importSoundPack();
+    populateSoundPackSelect();
+    if (id) {
+      setSoundPack(id);
+    } else {
+      soundPackSelect.value = state.soundPack;
+    }
+  });
+
   // Sound toggle
   soundToggle.addEventListener('click', () => {
     const enabled = state.sound.toggle();
@@ -345,18 +1510,35 @@ function setupEventListeners() {
     }
   }, { once: true });
 
+  // Open / save document buttons
+  openBtn.addEventListener('click', openDocument);
+  saveDocBtn.addEventListener('click', () => saveDocument());
+
   // Save button
   saveBtn.addEventListener('click', saveText);
 
   // Export PNG button
   exportPngBtn.addEventListener('click', savePNG);
 
+  // Export PDF button
+  exportPdfBtn.addEventListener('click', savePDF);
+
   // Exit button
   exitBtn.addEventListener('click', exitApp);
 
+  // Native window close: Rust only asks when the document is dirty
+  setupCloseGuard();
+
   // New page button (clear all)
   newPageBtn.addEventListener('click', clearAllPages);
 
+  // Settings dialog
+  settingsBtn.addEventListener('click', () => openSettings());
+  sessionStats.addEventListener('click', () => openSettings('stats'));
+
+  // Keyboard shortcuts (capture phase, before the editor's own handling)
+  document.addEventListener('keydown', handleShortcut, true);
+
   // Page navigation
   prevPageBtn.addEventListener('click', () => navigateToPage(currentPageIndex - 1));
   nextPageBtn.addEventListener('click', () => navigateToPage(currentPageIndex + 1));
@@ -372,13 +1554,55 @@ function setupEventListeners() {
 
 // Handle input and check for page overflow
 function handleInput(e) {
+  markDirty();
+  const wordsBefore = currentWordCount;
   updateCounts();
+  if (!STATS_IGNORED_INPUT.includes(e?.inputType)) {
+    recordTyping(currentWordCount - wordsBefore);
+  }
+  // Only the line being typed on; the rest moves too little to notice
+  if (state.ribbon.enabled) updateRibbonFade(getCaretInLine()?.line);
   // Small delay to let the DOM update before measuring
   requestAnimationFrame(() => {
     checkPageOverflow();
   });
 }
 
+// Snapshot the document before the browser changes it
+function handleBeforeInput(e) {
+  // 1937 mode: nothing on the paper can be removed or typed over, not even by undo
+  if (state.strictMode) {
+    const selection = window.getSelection();
+    if (e.inputType.startsWith('delete') || e.inputType.startsWith('history') ||
+        (selection.rangeCount && !selection.isCollapsed) || isBehindStrictCaret()) {
+      e.preventDefault();
+      return;
+    }
+  }
+
+  if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+    e.preventDefault();
+    e.inputType === 'historyUndo' ? undo() : redo();
+    return;
+  }
+
+  // The hard margin stops pasted text as well as typed text
+  const pasted = e.inputType === 'insertFromPaste' ? e.dataTransfer?.getData('text/plain') ?? e.data ?? '' : '';
+  if (pasted && !checkHardMarginForText(pasted)) {
+    e.preventDefault();
+    return;
+  }
+
+  // Text typed next to a struck character or in another ribbon colour
+  if (e.inputType === 'insertText' && insertTypedText(e.data)) {
+    e.preventDefault();
+    handleInput();
+    return;
+  }
+
+  recordHistory(e.inputType.startsWith('delete') ? 'delete' : 'typing');
+}
+
 // Check if current page has exceeded height limit
 function checkPageOverflow() {
   const editor = getCurrentEditor();
@@ -446,10 +1670,47 @@ function checkPageOverflow() {
   }
 }
 
-// Create a new page
-function createNewPage() {
-  const pageNum = pages.length + 1;
+// Distribute overflowing lines over all pages at once (e.g. after an import).
+// Hidden pages have no layout, so each page is shown briefly while measuring.
+function reflowAllPages() {
+  for (let i = 0; i < pages.length; i++) {
+    const page = pages[i];
+    const wasActive = page.classList.contains('active');
+    page.classList.add('active');
+
+    const editor = page.querySelector('.page-editor');
+    const children = Array.from(editor.querySelectorAll('.line, .image-line'));
+    let contentHeight = 80; // Padding, as in checkPageOverflow()
+    let splitIndex = -1;
+
+    for (let j = 0; j < children.length; j++) {
+      contentHeight += children[j].offsetHeight;
+      if (contentHeight > MAX_PAGE_HEIGHT && j > 0) {
+        splitIndex = j;
+        break;
+      }
+    }
+
+    if (!wasActive) page.classList.remove('active');
+    if (splitIndex === -1) continue;
+
+    let nextEditor;
+    if (i === pages.length - 1) {
+      nextEditor = createNewPage().querySelector('.page-editor');
+      // Drop the empty line of the freshly created page
+      nextEditor.innerHTML = '';
+    } else {
+      nextEditor = pages[i + 1].querySelector('.page-editor');
+    }
+
+    nextEditor.prepend(...children.slice(splitIndex));
+  }
 
+  updatePageIndicator();
+}
+
+// Create an empty page element with its editor (not yet attached)
+function createPageElement(pageNum) {
   const newPage = document.createElement('div');
   newPage.className = 'page';
   newPage.dataset.page = pageNum;
@@ -459,12 +1720,24 @@ function createNewPage() {
   newEditor.contentEditable = 'true';
   newEditor.spellcheck = false;
 
-  const newLine = document.createElement('div');
-  newLine.className = 'line';
-  newLine.dataset.font = state.font;
-
-  newEditor.appendChild(newLine);
   newPage.appendChild(newEditor);
+  return newPage;
+}
+
+// Create an empty line in the given font
+function createLineElement(font = state.font) {
+  const line = document.createElement('div');
+  line.className = 'line';
+  line.dataset.font = font;
+  return line;
+}
+
+// Create a new page
+function createNewPage() {
+  const pageNum = pages.length + 1;
+
+  const newPage = createPageElement(pageNum);
+  newPage.querySelector('.page-editor').appendChild(createLineElement());
   pagesContainer.appendChild(newPage);
 
   pages.push(newPage);
@@ -490,7 +1763,7 @@ function navigateToPage(index) {
 
 // Update page indicator and button states
 function updatePageIndicator() {
-  pageIndicator.textContent = `Seite ${currentPageIndex + 1} / ${pages.length}`;
+  pageIndicator.textContent = t('nav.page', { page: currentPageIndex + 1, total: pages.length });
   prevPageBtn.disabled = currentPageIndex === 0;
   nextPageBtn.disabled = currentPageIndex === pages.length - 1;
 }
@@ -513,7 +1786,12 @@ function focusCurrentPage() {
 }
 
 // Clear all pages (new document)
-function clearAllPages() {
+async function clearAllPages() {
+  if (!await confirmDiscardChanges()) return;
+
+  // Snapshot what is about to be discarded
+  autosave();
+
   // Remove all pages except first
   while (pages.length > 1) {
     pages[pages.length - 1].remove();
@@ -531,27 +1809,225 @@ function clearAllPages() {
 
   currentPageIndex = 0;
   pages[0].classList.add('active');
+  state.filePath = null;
+  setDirty(false);
+  resetHistory();
+  strictCaret = null;
 
   updatePageIndicator();
   focusCurrentPage();
   updateCounts();
 
   // Play sound
-  state.sound.play(true);
+  state.sound.playSample('feed');
 }
 
-// ===== FILE OPERATIONS =====
-function getEditorText() {
-  let text = '';
-  // Get text from all pages
-  pages.forEach((page, pageIndex) => {
-    const lines = page.querySelectorAll('.line');
-    lines.forEach(line => {
-      text += line.textContent + '\n';
-    });
+// ===== DOCUMENT MODEL =====
+// Native project format: every page, line, inline font run and image
+const DOCUMENT_FORMAT = 'terminal-typewriter';
+const DOCUMENT_VERSION = 1;
+const DOCUMENT_EXTENSION = 'typewriter';
+
+// Read the run style an element adds on top of the inherited one
+function readRunStyle(element, inherited) {
+  return {
+    ...inherited,
+    font: element.dataset?.font || inherited.font,
+    strike: element.dataset?.strike || inherited.strike,
+    ink: element.dataset?.ink || inherited.ink
+  };
+}
+
+function isSameRunStyle(a, b) {
+  return a.font === b.font && a.strike === b.strike && a.ink === b.ink;
+}
+
+// Collect the text of a line as runs of uniformly styled text
+function getLineRuns(line) {
+  const runs = [];
+
+  function walk(node, style) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (!node.textContent) return;
+      const last = runs[runs.length - 1];
+      if (last && isSameRunStyle(last, style)) {
+        last.text += node.textContent;
+      } else {
+        runs.push({ ...style, text: node.textContent });
+      }
+    } else if (node.nodeType === Node.ELEMENT_NODE) {
+      const childStyle = readRunStyle(node, style);
+      node.childNodes.forEach(child => walk(child, childStyle));
+    }
+  }
+
+  const lineStyle = { font: line.dataset.font || 'special-elite' };
+  line.childNodes.forEach(child => walk(child, lineStyle));
+  return runs;
+}
+
+function serializeBlock(element) {
+  if (element.classList.contains('image-line')) {
+    const img = element.querySelector('img');
+    return {
+      type: 'image',
+      src: img?.src || '',
+      // `filter` stays a boolean for older versions, which only know the newspaper look
+      filter: getImageTreatment(element) === 'newspaper',
+      treatment: getImageTreatment(element),
+      ...getImageLayout(element)
+    };
+  }
+
+  return {
+    type: 'line',
+    font: element.dataset.font || 'special-elite',
+    runs: getLineRuns(element)
+  };
+}
+
+// Serialize all pages into a plain object (see DOCUMENT_VERSION)
+function serializeDocument() {
+  return {
+    format: DOCUMENT_FORMAT,
+    version: DOCUMENT_VERSION,
+    font: state.font,
+    settings: {
+      frameStyle: state.frameStyle
+    },
+    pages: pages.map(page => ({
+      blocks: Array.from(page.querySelectorAll('.line, .image-line')).map(serializeBlock)
+    }))
+  };
+}
+
+// Span for struck-out text ('x' = overtyped with X, 'line' = struck through)
+function createStruckElement(strike, font = null) {
+  const span = document.createElement('span');
+  span.className = 'struck';
+  span.dataset.strike = strike;
+  if (font) {
+    span.dataset.font = font;
+    span.classList.add(`inline-font-${font}`);
+  }
+  return span;
+}
+
+// Create the inline span for a run that differs from its line
+function createRunElement(run, lineFont) {
+  const font = run.font === lineFont ? null : run.font;
+
+  if (run.strike) {
+    // One span per character, so each one gets its own overstrike
+    const fragment = document.createDocumentFragment();
+    for (const char of run.text) {
+      const span = createStruckElement(run.strike, font);
+      if (run.ink) span.dataset.ink = run.ink;
+      span.textContent = char;
+      fragment.appendChild(span);
+    }
+    return fragment;
+  }
+
+  if (!font && !run.ink) {
+    return document.createTextNode(run.text);
+  }
+
+  const span = document.createElement('span');
+  if (font) {
+    span.dataset.font = font;
+    span.className = `inline-font-${font}`;
+  }
+  if (run.ink) span.dataset.ink = run.ink;
+  span.textContent = run.text;
+  return span;
+}
+
+function buildLineElement(block) {
+  const line = createLineElement(block.font || state.font);
+  (block.runs || []).forEach(run => {
+    if (!run.text) return;
+    line.appendChild(createRunElement({ font: line.dataset.font, ...run }, line.dataset.font));
+  });
+  return line;
+}
+
+function buildImageElement(block) {
+  const img = document.createElement('img');
+  img.className = 'editor-image';
+  img.draggable = false;
+  img.src = block.src;
+
+  // Documents before photo treatments only have `filter: true` for the newspaper look
+  const treatment = block.treatment ?? (block.filter ? 'newspaper' : 'none');
+
+  const imageContainer = createImageContainer(img);
+  setImageTreatment(imageContainer, IMAGE_TREATMENTS.includes(treatment) ? treatment : 'none');
+  setImageLayout(imageContainer, {
+    align: IMAGE_ALIGNMENTS.includes(block.align) ? block.align : 'center',
+    width: block.width ? clampNumber(block.width, IMAGE_MIN_WIDTH, 100, null) : null,
+    caption: typeof block.caption === 'string' ? block.caption : ''
+  });
+  return imageContainer;
+}
+
+// Replace all pages with the content of a serialized document
+function loadDocument(doc) {
+  if (!doc || doc.format !== DOCUMENT_FORMAT || !Array.isArray(doc.pages)) {
+    throw new Error(t('file.invalidDocument'));
+  }
+  if (doc.version > DOCUMENT_VERSION) {
+    console.warn(`Document version ${doc.version} is newer than ${DOCUMENT_VERSION}`);
+  }
+
+  pagesContainer.innerHTML = '';
+  pages = [];
+
+  state.frameStyle = frameStyles[doc.settings?.frameStyle] ? doc.settings.frameStyle : DEFAULT_FRAME_STYLE;
+
+  const docPages = doc.pages.length > 0 ? doc.pages : [{ blocks: [] }];
+  docPages.forEach((pageData, index) => {
+    const page = createPageElement(index + 1);
+    const editor = page.querySelector('.page-editor');
+
+    (pageData.blocks || []).forEach(block => {
+      editor.appendChild(block.type === 'image' ? buildImageElement(block) : buildLineElement(block));
+    });
+
+    // Every page needs a line to type into
+    if (!editor.lastElementChild?.classList.contains('line')) {
+      editor.appendChild(createLineElement());
+    }
+
+    pagesContainer.appendChild(page);
+    pages.push(page);
+  });
+
+  currentPageIndex = 0;
+  pages[0].classList.add('active');
+
+  updatePageIndicator();
+  focusCurrentPage();
+  updateCounts();
+  updateRibbonFade();
+}
+
+// ===== FILE OPERATIONS =====
+// Page break marker written by getEditorText(), e.g. "--- Page 2 ---".
+// Files written in German ("--- Seite 2 ---") are recognised as well.
+const PAGE_MARKER_PATTERN = /^--- (?:Page|Seite) \d+ ---$/;
+
+function getEditorText() {
+  let text = '';
+  // Get text from all pages
+  pages.forEach((page, pageIndex) => {
+    const lines = page.querySelectorAll('.line');
+    lines.forEach(line => {
+      text += line.textContent + '\n';
+    });
     // Add page break marker if not last page
     if (pageIndex < pages.length - 1) {
-      text += '\n--- Seite ' + (pageIndex + 2) + ' ---\n\n';
+      text += '\n' + t('file.pageMarker', { page: String(pageIndex + 2) }) + '\n\n';
     }
   });
   return text.trimEnd();
@@ -566,9 +2042,9 @@ async function saveText() {
   try {
     // Use Tauri's native save dialog
     const filePath = await window.__TAURI__.dialog.save({
-      defaultPath: 'dokument.txt',
+      defaultPath: `${t('file.defaultName')}.txt`,
       filters: [{
-        name: 'Text Dateien',
+        name: t('file.textFiles'),
         extensions: ['txt']
       }]
     });
@@ -576,17 +2052,17 @@ async function saveText() {
     if (filePath) {
       // Write the file
       await window.__TAURI__.fs.writeTextFile(filePath, text);
-      console.log('Gespeichert:', filePath);
+      console.log('Saved:', filePath);
     }
   } catch (e) {
-    console.error('Speichern fehlgeschlagen:', e);
+    console.error('Saving failed:', e);
 
     // Fallback: Browser download
     const blob = new Blob([text], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'dokument.txt';
+    a.download = `${t('file.defaultName')}.txt`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -594,74 +2070,226 @@ async function saveText() {
   }
 }
 
-async function savePNG() {
-  // Check how many pages have content
-  const pagesWithContent = pages.filter(page => {
+async function saveDocument({ saveAs = false } = {}) {
+  const json = JSON.stringify(serializeDocument());
+
+  // Browser fallback: a download is as close to saving as it gets
+  if (!window.__TAURI__) {
+    downloadBlob(new Blob([json], { type: 'application/json' }), `${t('file.defaultName')}.${DOCUMENT_EXTENSION}`);
+    setDirty(false);
+    return true;
+  }
+
+  try {
+    let filePath = state.filePath;
+
+    if (!filePath || saveAs) {
+      filePath = await window.__TAURI__.dialog.save({
+        defaultPath: state.filePath || `${t('file.defaultName')}.${DOCUMENT_EXTENSION}`,
+        filters: [{
+          name: t('file.document'),
+          extensions: [DOCUMENT_EXTENSION]
+        }]
+      });
+    }
+
+    if (!filePath) return false;
+
+    await window.__TAURI__.fs.writeTextFile(filePath, json);
+    state.filePath = filePath;
+    setDirty(false);
+    console.log('Document saved:', filePath);
+    return true;
+  } catch (e) {
+    console.error('Saving the document failed:', e);
+    // The document stays dirty, so closing or opening another file asks again
+    await showErrorDialog(t('file.saveFailed'), t('file.saveFailedBody'), e);
+    return false;
+  }
+}
+
+// Turn plain text (.txt / .md) into a document, honouring page break markers
+function parsePlainText(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const docPages = [[]];
+
+  for (let i = 0; i < lines.length; i++) {
+    if (PAGE_MARKER_PATTERN.test(lines[i].trim())) {
+      const current = docPages[docPages.length - 1];
+      // getEditorText() surrounds the marker with one blank line on each side
+      if (current.length > 0 && current[current.length - 1] === '') current.pop();
+      if (lines[i + 1] === '') i++;
+      docPages.push([]);
+      continue;
+    }
+    docPages[docPages.length - 1].push(lines[i]);
+  }
+
+  return {
+    format: DOCUMENT_FORMAT,
+    version: DOCUMENT_VERSION,
+    font: state.font,
+    pages: docPages.map(pageLines => ({
+      blocks: pageLines.map(line => ({
+        type: 'line',
+        font: state.font,
+        runs: line ? [{ font: state.font, text: line }] : []
+      }))
+    }))
+  };
+}
+
+function importPlainText(text) {
+  loadDocument(parsePlainText(text));
+  reflowAllPages();
+  checkPageOverflow();
+}
+
+// Let the user pick a file in the browser (no Tauri) and read it as text
+function pickTextFileInBrowser(accept) {
+  return new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.onchange = async () => {
+      const file = input.files?.[0];
+      resolve(file ? { name: file.name, text: await file.text() } : null);
+    };
+    input.click();
+  });
+}
+
+async function openDocument() {
+  if (!await confirmDiscardChanges()) return;
+
+  try {
+    let file;
+
+    if (window.__TAURI__) {
+      const filePath = await window.__TAURI__.dialog.open({
+        multiple: false,
+        filters: [
+          { name: t('file.allSupported'), extensions: [DOCUMENT_EXTENSION, 'txt', 'md'] },
+          { name: t('file.document'), extensions: [DOCUMENT_EXTENSION] },
+          { name: t('file.textMarkdown'), extensions: ['txt', 'md'] }
+        ]
+      });
+      if (!filePath) return;
+
+      file = { name: filePath, text: await window.__TAURI__.fs.readTextFile(filePath) };
+    } else {
+      file = await pickTextFileInBrowser(`.${DOCUMENT_EXTENSION},.txt,.md`);
+      if (!file) return;
+    }
+
+    const ext = file.name.toLowerCase().split('.').pop();
+    if (ext === DOCUMENT_EXTENSION) {
+      loadDocument(JSON.parse(file.text));
+      state.filePath = window.__TAURI__ ? file.name : null;
+    } else {
+      // Imported text becomes a new, unsaved document
+      importPlainText(file.text);
+      state.filePath = null;
+    }
+    setDirty(false);
+    resetHistory();
+    strictCaret = null;
+  } catch (e) {
+    console.error('Opening failed:', e);
+    await showErrorDialog(t('file.openFailed'), e.message || String(e));
+  }
+}
+
+// Pages that have text or images (empty pages are skipped on export)
+function getPagesWithContent() {
+  return pages.filter(page => {
     const editor = page.querySelector('.page-editor');
     const text = editor?.textContent?.trim() || '';
     const images = editor?.querySelectorAll('.image-line') || [];
     return text.length > 0 || images.length > 0;
   });
+}
+
+// Browser fallback: offer a blob as a download
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+async function savePNG() {
+  // Check how many pages have content
+  const pagesWithContent = getPagesWithContent();
 
   if (pagesWithContent.length === 0) return;
 
+  const settings = await showExportDialog('png');
+  if (!settings) return;
+
   try {
     if (pagesWithContent.length === 1) {
       // Single page - save as before
       const editor = pagesWithContent[0].querySelector('.page-editor');
-      const canvas = await createDocumentCanvas(editor);
+      const canvas = await createDocumentCanvas(editor, settings);
       const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
 
       const filePath = await window.__TAURI__.dialog.save({
-        defaultPath: 'dokument.png',
-        filters: [{ name: 'PNG Bild', extensions: ['png'] }]
+        defaultPath: `${t('file.defaultName')}.png`,
+        filters: [{ name: t('file.pngImage'), extensions: ['png'] }]
       });
 
       if (filePath) {
         const arrayBuffer = await blob.arrayBuffer();
         const uint8Array = new Uint8Array(arrayBuffer);
         await window.__TAURI__.fs.writeFile(filePath, uint8Array);
-        console.log('PNG gespeichert:', filePath);
+        console.log('PNG saved:', filePath);
       }
     } else {
       // Multiple pages - let user choose folder
       const folderPath = await window.__TAURI__.dialog.open({
         directory: true,
-        title: 'Ordner für PNG-Export wählen'
+        title: t('file.pngFolder')
       });
 
       if (folderPath) {
         for (let i = 0; i < pagesWithContent.length; i++) {
           const editor = pagesWithContent[i].querySelector('.page-editor');
-          const canvas = await createDocumentCanvas(editor);
+          const canvas = await createDocumentCanvas(editor, settings);
           const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
 
-          const fileName = `dokument_seite_${i + 1}.png`;
+          const fileName = `${t('file.pageName', { page: String(i + 1) })}.png`;
           const filePath = `${folderPath}/${fileName}`;
 
           const arrayBuffer = await blob.arrayBuffer();
           const uint8Array = new Uint8Array(arrayBuffer);
           await window.__TAURI__.fs.writeFile(filePath, uint8Array);
-          console.log(`PNG gespeichert: ${filePath}`);
+          console.log(`PNG saved: ${filePath}`);
         }
-        console.log(`${pagesWithContent.length} Seiten exportiert`);
+        console.log(`${pagesWithContent.length} pages exported`);
       }
     }
   } catch (e) {
-    console.error('PNG Speichern fehlgeschlagen:', e);
+    console.error('Saving the PNG failed:', e);
 
     // Fallback: Browser download for all pages
     try {
       for (let i = 0; i < pagesWithContent.length; i++) {
         const editor = pagesWithContent[i].querySelector('.page-editor');
-        const canvas = await createDocumentCanvas(editor);
+        const canvas = await createDocumentCanvas(editor, settings);
 
         await new Promise(resolve => {
           canvas.toBlob((blob) => {
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = pagesWithContent.length === 1 ? 'dokument.png' : `dokument_seite_${i + 1}.png`;
+            a.download = pagesWithContent.length === 1
+              ? `${t('file.defaultName')}.png`
+              : `${t('file.pageName', { page: String(i + 1) })}.png`;
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
@@ -676,11 +2304,113 @@ async function savePNG() {
         }
       }
     } catch (fallbackError) {
-      console.error('Fallback PNG speichern fehlgeschlagen:', fallbackError);
+      console.error('PNG download fallback failed:', fallbackError);
     }
   }
 }
 
+// ===== EXPORT SETTINGS =====
+const EXPORT_SCALES = {
+  1: '96 dpi (1x)',
+  2: '192 dpi (2x)',
+  3: '288 dpi (3x)',
+  4: '384 dpi (4x)'
+};
+
+function createSelect(options, value) {
+  const select = document.createElement('select');
+  options.forEach(([optionValue, label]) => {
+    select.appendChild(new Option(label, optionValue));
+  });
+  select.value = value;
+  return select;
+}
+
+function createInput(type, value, attributes = {}) {
+  const input = document.createElement('input');
+  input.type = type;
+  // Range inputs clamp their value to min/max/step, so set those first
+  Object.assign(input, attributes);
+  if (type === 'checkbox') {
+    input.checked = value;
+  } else {
+    input.value = value;
+  }
+  return input;
+}
+
+function clampNumber(value, min, max, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+// Export dialog for PNG and PDF. Resolves with the chosen settings (also
+// remembered in the preferences) or null when cancelled.
+async function showExportDialog(format) {
+  const current = state.exportSettings;
+  const inputs = {};
+
+  // PDF always needs real paper
+  const pageSizeKey = format === 'pdf' ? 'pdfPageSize' : 'pageSize';
+  const pageSizes = Object.entries(PDF_PAGE_SIZES).map(([key, size]) => [key, size.label]);
+  if (format === 'png') pageSizes.unshift(['auto', t('export.pageSizeAuto')]);
+
+  const confirmed = await showDialog({
+    title: format === 'pdf' ? t('export.titlePdf') : t('export.titlePng'),
+    body: () => {
+      inputs.frame = createFrameStyleSelect();
+      inputs.pageSize = createSelect(pageSizes, current[pageSizeKey]);
+      inputs.scale = createSelect(Object.entries(EXPORT_SCALES), String(current.scale));
+      inputs.marginX = createInput('number', current.marginX, { min: 40, max: 200, step: 5 });
+      inputs.marginY = createInput('number', current.marginY, { min: 40, max: 200, step: 5 });
+      inputs.paperColor = createInput('color', current.paperColor);
+      inputs.inkColor = createInput('color', current.inkColor);
+      inputs.paperTexture = createInput('checkbox', current.paperTexture);
+      inputs.aging = createInput('checkbox', current.aging);
+      inputs.useThemeColors = createInput('checkbox', current.useThemeColors);
+
+      const fields = document.createElement('div');
+      fields.append(
+        createDialogField(t('export.frame'), inputs.frame),
+        createDialogField(t('export.pageSize'), inputs.pageSize),
+        createDialogField(t('export.resolution'), inputs.scale),
+        createDialogField(t('export.marginX'), inputs.marginX),
+        createDialogField(t('export.marginY'), inputs.marginY),
+        createDialogField(t('export.paperColor'), inputs.paperColor),
+        createDialogField(t('export.inkColor'), inputs.inkColor),
+        createDialogField(t('export.useThemeColors'), inputs.useThemeColors),
+        createDialogField(t('export.paperTexture'), inputs.paperTexture),
+        createDialogField(t('export.aging'), inputs.aging)
+      );
+      return fields;
+    },
+    buttons: [
+      { label: t('common.cancel'), value: false },
+      { label: t('export.export'), value: true, primary: true }
+    ]
+  });
+
+  if (!confirmed) return null;
+
+  setFrameStyle(inputs.frame.value);
+
+  state.exportSettings = {
+    ...current,
+    scale: Number(inputs.scale.value),
+    [pageSizeKey]: inputs.pageSize.value,
+    marginX: clampNumber(inputs.marginX.value, 40, 200, DEFAULT_EXPORT_SETTINGS.marginX),
+    marginY: clampNumber(inputs.marginY.value, 40, 200, DEFAULT_EXPORT_SETTINGS.marginY),
+    paperColor: inputs.paperColor.value,
+    inkColor: inputs.inkColor.value,
+    paperTexture: inputs.paperTexture.checked,
+    aging: inputs.aging.checked,
+    useThemeColors: inputs.useThemeColors.checked
+  };
+  savePreferences();
+
+  return { ...state.exportSettings, pageSize: inputs.pageSize.value };
+}
+
 // Font mapping for canvas rendering
 const fontMap = {
   'special-elite': { family: 'Special Elite', size: 18 },
@@ -695,12 +2425,20 @@ const fontMap = {
   'zent': { family: 'Zent', size: 20 }
 };
 
-async function createDocumentCanvas(editor) {
-  const scale = 2; // High DPI
+// Options: any export setting (see DEFAULT_EXPORT_SETTINGS), plus
+//   textLayout - array that receives { text, x, y, size, width } per drawn run
+async function createDocumentCanvas(editor, options = {}) {
+  const settings = { ...state.exportSettings, ...options };
+  if (settings.useThemeColors) {
+    const { colors } = getTheme(state.theme);
+    settings.paperColor = colors['bg-paper'];
+    settings.inkColor = colors['text-primary'];
+  }
+  const scale = settings.scale; // High DPI
   const pageWidth = 800;
-  const marginX = 60;
-  const marginTop = 80;
-  const marginBottom = 80;
+  const marginX = settings.marginX;
+  const marginTop = settings.marginY;
+  const marginBottom = settings.marginY;
   const lineHeight = 32;
   const borderWidth = 10;
   const innerBorderWidth = 2;
@@ -709,6 +2447,9 @@ async function createDocumentCanvas(editor) {
   // Calculate the actual text area width
   const maxWidth = pageWidth - marginX * 2;
 
+  // Measure with the real fonts, not a fallback that is still loading
+  await document.fonts.ready;
+
   // Create a temporary canvas to measure text
   const tempCanvas = document.createElement('canvas');
   const tempCtx = tempCanvas.getContext('2d');
@@ -719,68 +2460,92 @@ async function createDocumentCanvas(editor) {
 
   // Get all children (lines and images)
   const children = editor.querySelectorAll('.line, .image-line');
+  const charOffsets = getLineCharOffsets();
+
+  // Ribbon position of the last text, for captions in between
+  let lastCharIndex = 0;
 
   children.forEach(child => {
     if (child.classList.contains('image-line')) {
       // Image element
       const img = child.querySelector('img');
       if (img) {
-        // Calculate scaled image dimensions
-        const imgMaxWidth = maxWidth - 40;
-        const imgMaxHeight = 300;
+        const { align, width, caption } = getImageLayout(child);
         let imgWidth = img.naturalWidth || img.width || 200;
         let imgHeight = img.naturalHeight || img.height || 150;
 
-        // Scale to fit
-        const scale = Math.min(imgMaxWidth / imgWidth, imgMaxHeight / imgHeight, 1);
-        imgWidth *= scale;
-        imgHeight *= scale;
+        if (width) {
+          // Percentage of the text width, like on screen
+          const scale = maxWidth * width / 100 / imgWidth;
+          imgWidth *= scale;
+          imgHeight *= scale;
+        } else {
+          // Scale to fit
+          const imgMaxWidth = maxWidth - 40;
+          const imgMaxHeight = 300;
+          const scale = Math.min(imgMaxWidth / imgWidth, imgMaxHeight / imgHeight, 1);
+          imgWidth *= scale;
+          imgHeight *= scale;
+        }
 
-        // Check if newspaper filter is applied
-        const hasNewspaperFilter = img.classList.contains('newspaper-filter');
+        const alignFactor = { left: 0, center: 0.5, right: 1 }[align];
 
         renderData.push({
           type: 'image',
           img: img,
+          x: (maxWidth - imgWidth) * alignFactor,
           width: imgWidth,
           height: imgHeight,
-          hasNewspaperFilter: hasNewspaperFilter
+          treatment: getImageTreatment(child)
         });
         totalContentHeight += imgHeight + 24; // Image + margin
+
+        // Caption lines in the document font, aligned with the image
+        if (caption) {
+          layoutRuns(tempCtx, [{ font: state.font, text: caption }], maxWidth).forEach(segments => {
+            const rowWidth = segments.reduce((sum, segment) => sum + segment.width, 0);
+            renderData.push({
+              type: 'text',
+              segments,
+              height: lineHeight,
+              charIndex: lastCharIndex,
+              offsetX: (maxWidth - rowWidth) * alignFactor
+            });
+            totalContentHeight += lineHeight;
+          });
+        }
       }
     } else {
-      // Text line
-      const fontKey = child.dataset.font || 'special-elite';
-      const fontInfo = fontMap[fontKey] || fontMap['special-elite'];
-      const text = child.textContent || '';
-
-      tempCtx.font = `${fontInfo.size}px "${fontInfo.family}", monospace`;
-
-      if (!text.trim()) {
-        // Empty line
-        renderData.push({ type: 'empty' });
-        totalContentHeight += lineHeight;
+      // Text line: lay out each run (line font or inline span) in its own font
+      const runs = getLineRuns(child);
+
+      if (!runs.some(run => run.text.trim())) {
+        // Empty line, as tall as its font makes it on screen
+        const height = getLineBoxHeight([child.dataset.font], lineHeight);
+        renderData.push({ type: 'empty', height });
+        totalContentHeight += height;
       } else {
-        // Wrap text properly
-        const wrappedLines = wrapText(tempCtx, text, maxWidth);
-        wrappedLines.forEach(wrappedLine => {
-          renderData.push({
-            type: 'text',
-            text: wrappedLine,
-            font: fontInfo
-          });
-          totalContentHeight += lineHeight;
+        // Position in the whole document, for the ribbon's variation and fading
+        let charIndex = charOffsets.get(child) || 0;
+        layoutRuns(tempCtx, runs, maxWidth).forEach(segments => {
+          const height = getLineBoxHeight(segments.map(segment => segment.font), lineHeight);
+          renderData.push({ type: 'text', segments, height, charIndex, offsetX: 0 });
+          totalContentHeight += height;
+          charIndex += segments.reduce((count, segment) => count + segment.text.length, 0);
         });
-        if (wrappedLines.length === 0) {
-          totalContentHeight += lineHeight;
-        }
+        lastCharIndex = charIndex;
       }
     }
   });
 
   // Calculate page height based on actual content
   const contentHeight = totalContentHeight;
-  const pageHeight = marginTop + contentHeight + marginBottom;
+  // Fixed paper sizes only set a minimum; long pages still grow
+  const paper = PDF_PAGE_SIZES[settings.pageSize];
+  const pageHeight = Math.max(
+    marginTop + contentHeight + marginBottom,
+    paper ? Math.round(pageWidth * paper.height / paper.width) : 0
+  );
 
   // Create the final canvas
   const canvas = document.createElement('canvas');
@@ -790,55 +2555,75 @@ async function createDocumentCanvas(editor) {
   ctx.scale(scale, scale);
 
   // Draw paper background
-  ctx.fillStyle = '#F5F0E6';
+  ctx.fillStyle = settings.paperColor;
   ctx.fillRect(0, 0, pageWidth, pageHeight);
 
   // Add paper texture (subtle noise)
-  addPaperTexture(ctx, pageWidth, pageHeight);
+  if (settings.paperTexture) {
+    addPaperTexture(ctx, pageWidth, pageHeight, scale);
+  }
 
-  // Draw decorative frame (randomly selected vintage style)
-  drawCornerOrnaments(ctx, pageWidth, pageHeight, borderWidth, borderPadding);
+  // Draw decorative frame (the document's vintage style, same on every page)
+  drawCornerOrnaments(ctx, pageWidth, pageHeight, borderWidth, borderPadding, state.frameStyle);
 
   // Second pass: render the content
   let yPosition = marginTop;
-  ctx.fillStyle = '#2C1810';
+  ctx.fillStyle = settings.inkColor;
 
   renderData.forEach(item => {
     if (item.type === 'empty') {
-      yPosition += lineHeight;
+      yPosition += item.height;
     } else if (item.type === 'text') {
-      ctx.font = `${item.font.size}px "${item.font.family}", monospace`;
-      ctx.fillText(item.text, marginX, yPosition);
+      // Taller fonts push the baseline down, like a taller line box on screen
+      yPosition += item.height - lineHeight;
+
+      let charIndex = item.charIndex;
+      item.segments.forEach(segment => {
+        const fontInfo = getFontInfo(segment.font);
+        const x = marginX + item.offsetX + segment.x;
+        ctx.font = getCanvasFont(fontInfo);
+        ctx.fillStyle = segment.run.ink === 'red' ? RIBBON_RED : settings.inkColor;
+        if (state.ribbon.enabled) {
+          drawRibbonText(ctx, segment.text, x, yPosition, charIndex);
+        } else {
+          ctx.fillText(segment.text, x, yPosition);
+        }
+        charIndex += segment.text.length;
+        if (segment.run.strike) {
+          drawOverstrike(ctx, segment.text, x, yPosition, fontInfo, segment.run.strike);
+        }
+        options.textLayout?.push({
+          text: segment.text,
+          x,
+          y: yPosition,
+          size: fontInfo.size,
+          width: segment.width
+        });
+      });
+
       yPosition += lineHeight;
     } else if (item.type === 'image') {
-      // Draw image centered
-      const imgX = marginX + (maxWidth - item.width) / 2;
-
-      // Check if newspaper filter is applied
-      if (item.hasNewspaperFilter) {
-        // Apply grayscale and contrast effect
-        ctx.filter = 'grayscale(100%) contrast(1.3) brightness(1.1)';
-        ctx.globalAlpha = 0.85;
-      }
+      // Draw image with its alignment
+      const imgX = marginX + item.x;
 
-      ctx.drawImage(item.img, imgX, yPosition - lineHeight + 12, item.width, item.height);
-
-      // Reset filter
-      ctx.filter = 'none';
-      ctx.globalAlpha = 1;
+      // Treated images use the same pixels as the editor preview
+      const source = item.treatment === 'none' ? item.img : renderTreatedImage(item.img, item.treatment);
+      ctx.drawImage(source, imgX, yPosition - lineHeight + 12, item.width, item.height);
 
       yPosition += item.height + 24;
     }
   });
 
   // Add subtle aging effect
-  addAgingEffect(ctx, pageWidth, pageHeight);
+  if (settings.aging) {
+    addAgingEffect(ctx, pageWidth, pageHeight);
+  }
 
   return canvas;
 }
 
-function addPaperTexture(ctx, width, height) {
-  const imageData = ctx.getImageData(0, 0, width * 2, height * 2);
+function addPaperTexture(ctx, width, height, scale) {
+  const imageData = ctx.getImageData(0, 0, width * scale, height * scale);
   const data = imageData.data;
 
   for (let i = 0; i < data.length; i += 4) {
@@ -851,10 +2636,11 @@ function addPaperTexture(ctx, width, height) {
   ctx.putImageData(imageData, 0, 0);
 }
 
-// Array of frame drawing functions - 20s, 30s, 40s styles
-const frameStyles = [
+// Frame drawing functions - 20s, 30s, 40s styles, keyed by the id that is
+// stored with the document
+const frameStyles = {
   // Style 1: Art Deco Geometric (1920s)
-  function drawArtDecoFrame(ctx, width, height, borderW, padding) {
+  'art-deco': function drawArtDecoFrame(ctx, width, height, borderW, padding) {
     const offset = borderW + padding - 5;
     const color = '#8B7355';
     const gold = '#A08060';
@@ -904,7 +2690,7 @@ const frameStyles = [
   },
 
   // Style 2: Elegant Lines (1930s)
-  function drawElegantFrame(ctx, width, height, borderW, padding) {
+  'elegant-1930s': function drawElegantFrame(ctx, width, height, borderW, padding) {
     const offset = borderW + padding - 5;
     const color = '#7A6550';
     const light = '#A89880';
@@ -955,7 +2741,7 @@ const frameStyles = [
   },
 
   // Style 3: Streamline Moderne (1930s-40s)
-  function drawStreamlineFrame(ctx, width, height, borderW, padding) {
+  'streamline': function drawStreamlineFrame(ctx, width, height, borderW, padding) {
     const offset = borderW + padding - 5;
     const color = '#8B7355';
 
@@ -1001,7 +2787,7 @@ const frameStyles = [
   },
 
   // Style 4: Classic Document (1940s)
-  function drawClassicFrame(ctx, width, height, borderW, padding) {
+  'classic-1940s': function drawClassicFrame(ctx, width, height, borderW, padding) {
     const offset = borderW + padding - 5;
     const color = '#6B5344';
     const medium = '#8B7355';
@@ -1044,7 +2830,7 @@ const frameStyles = [
   },
 
   // Style 5: Art Nouveau inspired (1920s)
-  function drawArtNouveauFrame(ctx, width, height, borderW, padding) {
+  'art-nouveau': function drawArtNouveauFrame(ctx, width, height, borderW, padding) {
     const offset = borderW + padding - 5;
     const color = '#7A6550';
     const accent = '#9A8570';
@@ -1101,13 +2887,38 @@ const frameStyles = [
 
       ctx.restore();
     });
-  }
-];
+  },
+
+  // Style 6: Plain single rule
+  'plain': function drawPlainFrame(ctx, width, height, borderW, padding) {
+    const offset = borderW + padding - 5;
+
+    ctx.strokeStyle = '#8B7355';
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(offset, offset, width - offset * 2, height - offset * 2);
+  },
+
+  // Style 7: No frame at all
+  'none': function drawNoFrame() {}
+};
+
+const DEFAULT_FRAME_STYLE = 'art-deco';
 
-function drawCornerOrnaments(ctx, width, height, borderW, padding) {
-  // Randomly select a frame style
-  const randomIndex = Math.floor(Math.random() * frameStyles.length);
-  frameStyles[randomIndex](ctx, width, height, borderW, padding);
+function drawCornerOrnaments(ctx, width, height, borderW, padding, styleKey) {
+  const drawFrame = frameStyles[styleKey] || frameStyles[DEFAULT_FRAME_STYLE];
+  drawFrame(ctx, width, height, borderW, padding);
+}
+
+function createFrameStyleSelect() {
+  return createSelect(Object.keys(frameStyles).map(key => [key, t(`frame.${key}`)]), state.frameStyle);
+}
+
+// Remember the chosen frame with the document, so every export matches
+function setFrameStyle(styleKey) {
+  if (!frameStyles[styleKey] || styleKey === state.frameStyle) return;
+  recordHistory('frame');
+  state.frameStyle = styleKey;
+  markDirty();
 }
 
 function addAgingEffect(ctx, width, height) {
@@ -1123,88 +2934,925 @@ function addAgingEffect(ctx, width, height) {
   ctx.fillRect(0, 0, width, height);
 }
 
-function wrapText(ctx, text, maxWidth) {
-  if (!text) return [];
+function getFontInfo(fontKey) {
+  return fontMap[fontKey] || fontMap['special-elite'];
+}
+
+function getCanvasFont(fontInfo) {
+  return `${fontInfo.size}px "${fontInfo.family}", monospace`;
+}
+
+// Height of a line box: like `.line { line-height: 1.8 }`, the largest font wins
+function getLineBoxHeight(fontKeys, minHeight) {
+  return fontKeys.reduce((height, fontKey) => {
+    return Math.max(height, Math.round(getFontInfo(fontKey).size * 1.8));
+  }, minHeight);
+}
+
+// Text as struck by a ribbon: every character slightly lighter or darker,
+// offset and rotated (seeded by its position, so exports are repeatable),
+// and fainter the further into the document it is
+function drawRibbonText(ctx, text, x, y, startIndex) {
+  const { variation } = state.ribbon;
+  let charX = x;
+  let index = startIndex;
+
+  for (const char of text) {
+    const charWidth = ctx.measureText(char).width;
+
+    if (char.trim()) {
+      ctx.save();
+      ctx.globalAlpha = getRibbonStrength(index) * (1 - variation * 0.45 * ribbonNoise(index, 1));
+      ctx.translate(
+        charX + charWidth / 2 + (ribbonNoise(index, 2) - 0.5) * variation * 1.2,
+        y + (ribbonNoise(index, 3) - 0.5) * variation * 1.5
+      );
+      ctx.rotate((ribbonNoise(index, 4) - 0.5) * variation * 0.08);
+      ctx.fillText(char, -charWidth / 2, 0);
+      ctx.restore();
+    }
+
+    charX += charWidth;
+    index++;
+  }
+}
+
+// Struck-out text: an 'X' typed over each character, or a line through
+function drawOverstrike(ctx, text, x, y, fontInfo, strike) {
+  if (strike === 'line') {
+    const thickness = Math.max(1, fontInfo.size / 14);
+    ctx.fillRect(x, y - fontInfo.size * 0.3, ctx.measureText(text).width, thickness);
+    return;
+  }
+
+  const xWidth = ctx.measureText('X').width;
+  let charX = x;
+  for (const char of text) {
+    const charWidth = ctx.measureText(char).width;
+    ctx.fillText('X', charX + (charWidth - xWidth) / 2, y);
+    charX += charWidth;
+  }
+}
+
+// Wrap styled runs into visual lines. Returns one array of segments
+// ({ run, font, text, x, width }) per line, each measured in its own font.
+// Words may span several runs (e.g. a single letter in another font).
+function layoutRuns(ctx, runs, maxWidth) {
+  // Split runs into measured pieces of words and whitespace
+  const pieces = [];
+  runs.forEach(run => {
+    ctx.font = getCanvasFont(getFontInfo(run.font));
+    run.text.split(/(\s+)/).filter(Boolean).forEach(text => {
+      pieces.push({ run, text, isSpace: /^\s+$/.test(text), width: ctx.measureText(text).width });
+    });
+  });
+
+  // Group neighbouring non-space pieces into words
+  const words = [];
+  pieces.forEach(piece => {
+    const last = words[words.length - 1];
+    if (!piece.isSpace && last && !last.isSpace) {
+      last.pieces.push(piece);
+      last.width += piece.width;
+    } else {
+      words.push({ isSpace: piece.isSpace, pieces: [piece], width: piece.width });
+    }
+  });
 
-  const words = text.split(' ');
   const lines = [];
-  let currentLine = '';
+  let segments = [];
+  let x = 0;
+
+  function place(run, text, width) {
+    const last = segments[segments.length - 1];
+    if (last && last.run === run) {
+      last.text += text;
+      last.width += width;
+    } else {
+      segments.push({ run, font: run.font, text, x, width });
+    }
+    x += width;
+  }
 
-  words.forEach(word => {
-    // Handle words that are longer than maxWidth (break them character by character)
-    if (ctx.measureText(word).width > maxWidth) {
-      // First, push the current line if it has content
-      if (currentLine) {
-        lines.push(currentLine);
-        currentLine = '';
-      }
+  function breakLine() {
+    lines.push(segments);
+    segments = [];
+    x = 0;
+  }
 
-      // Break the long word into chunks that fit
-      let chunk = '';
-      for (let i = 0; i < word.length; i++) {
-        const testChunk = chunk + word[i];
-        if (ctx.measureText(testChunk).width > maxWidth && chunk) {
-          lines.push(chunk);
-          chunk = word[i];
-        } else {
-          chunk = testChunk;
-        }
+  words.forEach(word => {
+    if (word.isSpace) {
+      // Whitespace that does not fit hangs at the end of the line (pre-wrap)
+      if (x + word.width > maxWidth) {
+        if (segments.length > 0) breakLine();
+        return;
       }
-      currentLine = chunk;
+      place(word.pieces[0].run, word.pieces[0].text, word.width);
       return;
     }
 
-    const testLine = currentLine ? currentLine + ' ' + word : word;
-    const metrics = ctx.measureText(testLine);
+    // Like `word-wrap: break-word`, a word that does not fit starts a new line
+    if (x + word.width > maxWidth && x > 0) {
+      breakLine();
+    }
 
-    if (metrics.width > maxWidth && currentLine) {
-      lines.push(currentLine);
-      currentLine = word;
-    } else {
-      currentLine = testLine;
+    if (word.width <= maxWidth) {
+      word.pieces.forEach(piece => place(piece.run, piece.text, piece.width));
+      return;
     }
+
+    // Word longer than a whole line: break it character by character
+    word.pieces.forEach(piece => {
+      ctx.font = getCanvasFont(getFontInfo(piece.run.font));
+      for (const char of piece.text) {
+        const charWidth = ctx.measureText(char).width;
+        if (x + charWidth > maxWidth && x > 0) breakLine();
+        place(piece.run, char, charWidth);
+      }
+    });
   });
 
-  if (currentLine) {
-    lines.push(currentLine);
-  }
+  if (segments.length > 0) breakLine();
 
   return lines;
 }
 
-async function exitApp() {
-  try {
-    await window.__TAURI__.core.invoke('exit_app');
-  } catch (e) {
-    console.error('Exit failed:', e);
-  }
-}
+// ===== PDF EXPORT =====
+// A small PDF writer: each page is the typewriter canvas as a JPEG with an
+// invisible (render mode 3) Helvetica text layer on top, so text stays
+// selectable and searchable. Works fully offline.
+const PDF_PAGE_SIZES = {
+  a4: { label: 'A4', width: 595.28, height: 841.89 },
+  letter: { label: 'US Letter', width: 612, height: 792 }
+};
 
+// WinAnsiEncoding positions for common characters outside Latin-1
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
 
-// ===== IMAGE DRAG AND DROP =====
-function handleDragOver(e) {
-  e.preventDefault();
-  e.stopPropagation();
-  if (e.dataTransfer) {
-    e.dataTransfer.dropEffect = 'copy';
+// Encode text as an ASCII-only PDF string literal
+function pdfString(text) {
+  let result = '(';
+  for (const char of text) {
+    let code = WIN_ANSI_EXTRAS[char];
+    if (code === undefined) {
+      code = char.codePointAt(0);
+      if (code > 255 || (code >= 0x80 && code < 0xA0)) code = 0x3F; // '?'
+    }
+    if (char === '(' || char === ')' || char === '\\') {
+      result += '\\' + char;
+    } else if (code < 0x20 || code > 0x7E) {
+      result += '\\' + code.toString(8).padStart(3, '0');
+    } else {
+      result += String.fromCharCode(code);
+    }
   }
-  const editor = getCurrentEditor();
-  if (editor) editor.classList.add('drag-over');
+  return result + ')';
 }
 
-function handleDragLeave(e) {
-  e.preventDefault();
-  const editor = getCurrentEditor();
-  if (editor) editor.classList.remove('drag-over');
+function pdfNumber(value) {
+  return Number(value.toFixed(2)).toString();
 }
 
-function handleDrop(e) {
-  e.preventDefault();
-  e.stopPropagation();
-  const editor = getCurrentEditor();
-  if (editor) editor.classList.remove('drag-over');
+// pdfPages: [{ jpeg: Uint8Array, pixelWidth, pixelHeight, width, height, textLayout }]
+// where width/height are the canvas size in CSS pixels.
+function buildPdf(pdfPages, paper) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  function write(data) {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    chunks.push(bytes);
+    length += bytes.length;
+  }
 
-  // Browser file drop
+  function object(id, body) {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+    body();
+    write('\nendobj\n');
+  }
+
+  const pageIds = pdfPages.map((_, i) => 4 + i * 3);
+  const objectCount = 3 + pdfPages.length * 3;
+
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+
+  object(1, () => write('<< /Type /Catalog /Pages 2 0 R >>'));
+  object(2, () => write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pdfPages.length} >>`));
+  object(3, () => write('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'));
+
+  pdfPages.forEach((page, i) => {
+    const pageId = pageIds[i];
+    const contentId = pageId + 1;
+    const imageId = pageId + 2;
+
+    // Fit the canvas into the paper, centred horizontally, aligned to the top
+    const scale = Math.min(paper.width / page.width, paper.height / page.height);
+    const drawWidth = page.width * scale;
+    const drawHeight = page.height * scale;
+    const offsetX = (paper.width - drawWidth) / 2;
+    const top = paper.height;
+
+    let content = `q ${pdfNumber(drawWidth)} 0 0 ${pdfNumber(drawHeight)} ${pdfNumber(offsetX)} ${pdfNumber(top - drawHeight)} cm /Im0 Do Q\n`;
+
+    if (page.textLayout.length > 0) {
+      content += 'BT 3 Tr\n';
+      page.textLayout.forEach(line => {
+        const size = line.size * scale;
+        // Stretch Helvetica (~0.5em per char) to the width of the typewriter font
+        const helveticaWidth = line.text.length * size * 0.5;
+        const stretch = helveticaWidth > 0 ? (line.width * scale / helveticaWidth) * 100 : 100;
+        content += `/F1 ${pdfNumber(size)} Tf ${pdfNumber(stretch)} Tz ` +
+          `1 0 0 1 ${pdfNumber(offsetX + line.x * scale)} ${pdfNumber(top - line.y * scale)} Tm ` +
+          `${pdfString(line.text)} Tj\n`;
+      });
+      content += 'ET\n';
+    }
+
+    object(pageId, () => write(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pdfNumber(paper.width)} ${pdfNumber(paper.height)}] ` +
+      `/Resources << /Font << /F1 3 0 R >> /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    ));
+
+    object(contentId, () => {
+      write(`<< /Length ${encoder.encode(content).length} >>\nstream\n`);
+      write(content);
+      write('endstream');
+    });
+
+    object(imageId, () => {
+      write(`<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+      write(page.jpeg);
+      write('\nendstream');
+    });
+  });
+
+  const xrefOffset = length;
+  write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+  for (let id = 1; id <= objectCount; id++) {
+    write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach(chunk => {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  });
+  return pdf;
+}
+
+async function savePDF() {
+  const pagesWithContent = getPagesWithContent();
+  if (pagesWithContent.length === 0) return;
+
+  const settings = await showExportDialog('pdf');
+  if (!settings) return;
+
+  const paper = PDF_PAGE_SIZES[settings.pageSize];
+  const pdfPages = [];
+  let pdf;
+
+  try {
+    for (const page of pagesWithContent) {
+      const textLayout = [];
+      const canvas = await createDocumentCanvas(page.querySelector('.page-editor'), {
+        ...settings,
+        textLayout
+      });
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+      if (!blob) throw new Error('Canvas could not be encoded');
+
+      pdfPages.push({
+        jpeg: new Uint8Array(await blob.arrayBuffer()),
+        pixelWidth: canvas.width,
+        pixelHeight: canvas.height,
+        width: canvas.width / settings.scale,
+        height: canvas.height / settings.scale,
+        textLayout
+      });
+    }
+
+    pdf = buildPdf(pdfPages, paper);
+  } catch (e) {
+    console.error('PDF export failed:', e);
+    await showErrorDialog(t('export.failed'), t('export.failedBody'), e);
+    return;
+  }
+
+  try {
+    const filePath = await window.__TAURI__.dialog.save({
+      defaultPath: `${t('file.defaultName')}.pdf`,
+      filters: [{ name: t('file.pdfDocument'), extensions: ['pdf'] }]
+    });
+
+    if (filePath) {
+      await window.__TAURI__.fs.writeFile(filePath, pdf);
+      console.log('PDF saved:', filePath);
+    }
+  } catch (e) {
+    console.error('Saving the PDF failed:', e);
+
+    // Fallback: Browser download
+    downloadBlob(new Blob([pdf], { type: 'application/pdf' }), 'dokument.pdf');
+  }
+}
+
+async function exitApp() {
+  if (!await confirmDiscardChanges()) return;
+  saveStats();
+  setAutosaveClean(true);
+
+  try {
+    await window.__TAURI__.core.invoke('exit_app');
+  } catch (e) {
+    console.error('Exit failed:', e);
+  }
+}
+
+// ===== UNSAVED CHANGES =====
+function setDirty(dirty) {
+  if (state.dirty === dirty) return;
+  state.dirty = dirty;
+  // Saved (or opened) work needs no restore prompt; new edits are marked by the next autosave
+  if (!dirty) setAutosaveClean(true);
+
+  // Tell Rust, so the native close button knows whether to ask first
+  window.__TAURI__?.core.invoke('set_document_dirty', { dirty }).catch(e => {
+    console.error('Could not report the unsaved state:', e);
+  });
+}
+
+function markDirty() {
+  setDirty(true);
+}
+
+let discardPromptOpen = false;
+
+// Ask to save unsaved changes. Resolves true when it is fine to continue.
+async function confirmDiscardChanges() {
+  if (!state.dirty) return true;
+  if (discardPromptOpen) return false;
+
+  discardPromptOpen = true;
+  const choice = await showDialog({
+    title: t('unsaved.title'),
+    body: t('unsaved.body'),
+    buttons: [
+      { label: t('common.cancel'), value: 'cancel' },
+      { label: t('unsaved.discard'), value: 'discard', danger: true },
+      { label: t('common.save'), value: 'save', primary: true }
+    ]
+  });
+  discardPromptOpen = false;
+
+  if (choice === 'save') return saveDocument();
+  return choice === 'discard';
+}
+
+async function setupCloseGuard() {
+  // Browser fallback: native "leave page" prompt
+  window.addEventListener('beforeunload', (e) => {
+    if (state.dirty && !window.__TAURI__) {
+      e.preventDefault();
+      e.returnValue = '';
+    }
+  });
+
+  if (!window.__TAURI__) return;
+
+  try {
+    await window.__TAURI__.event.listen('close-requested', async () => {
+      if (await confirmDiscardChanges()) {
+        saveStats();
+        setAutosaveClean(true);
+        await window.__TAURI__.core.invoke('exit_app');
+      }
+    });
+  } catch (e) {
+    console.error('Failed to setup close guard:', e);
+  }
+}
+
+// ===== UNDO / REDO =====
+// Snapshot history: each step holds the serialized document plus the caret,
+// so typing, line splits and merges, font and image changes and the page
+// reflow that follows them are undone together.
+const MAX_HISTORY_STEPS = 200;
+const HISTORY_GROUP_MS = 1000; // Typing bursts within this window are one step
+const HISTORY_GROUP_MAX_MS = 5000; // ...but a step never spans more than this
+
+const undoHistory = {
+  undo: [],
+  redo: [],
+  lastKind: null,
+  lastTime: 0,
+  groupStart: 0,
+  // Image data URLs are kept once here; steps refer to them by id
+  imageIds: new Map(), // src -> id
+  images: new Map(), // id -> src
+  nextImageId: 0
+};
+
+// Where the caret is, as page / block (line or image) / text offset
+function getCaretPosition() {
+  const position = { page: currentPageIndex, block: 0, offset: 0 };
+  const editor = getCurrentEditor();
+  const selection = window.getSelection();
+  if (!editor || !selection.rangeCount) return position;
+
+  const range = selection.getRangeAt(0);
+  const blocks = Array.from(editor.querySelectorAll('.line, .image-line'));
+  const index = blocks.findIndex(block => block.contains(range.startContainer));
+  if (index === -1) return position;
+
+  const before = document.createRange();
+  before.selectNodeContents(blocks[index]);
+  before.setEnd(range.startContainer, range.startOffset);
+
+  position.block = index;
+  position.offset = before.toString().length;
+  return position;
+}
+
+function setCaretPosition(position) {
+  navigateToPage(Math.min(position.page, pages.length - 1));
+
+  const editor = getCurrentEditor();
+  const blocks = Array.from(editor.querySelectorAll('.line, .image-line'));
+  let block = blocks[Math.min(position.block, blocks.length - 1)];
+  let offset = position.offset;
+
+  // Images hold no caret; continue on the line after them
+  if (block?.classList.contains('image-line')) {
+    block = blocks.slice(blocks.indexOf(block)).find(el => el.classList.contains('line'));
+    offset = 0;
+  }
+  if (!block) return;
+
+  const target = findTextNodeAtOffset(block, Math.min(offset, block.textContent.length));
+  const range = document.createRange();
+  range.setStart(target.node, target.offset);
+  range.collapse(true);
+
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+// Image blocks of a step in history, which hold an image id instead of `src`
+function getHistoryImageBlocks(step) {
+  return step.doc.pages.flatMap(page => page.blocks.filter(block => block.type === 'image'));
+}
+
+// Forget images no step refers to any more (e.g. after an image was replaced)
+function pruneHistoryImages() {
+  const used = new Set();
+  [...undoHistory.undo, ...undoHistory.redo].forEach(step => {
+    getHistoryImageBlocks(step).forEach(block => used.add(block.imageId));
+  });
+
+  undoHistory.images.forEach((src, id) => {
+    if (!used.has(id)) {
+      undoHistory.images.delete(id);
+      undoHistory.imageIds.delete(src);
+    }
+  });
+}
+
+function captureHistoryStep() {
+  const step = { doc: serializeDocument(), caret: getCaretPosition() };
+
+  getHistoryImageBlocks(step).forEach(block => {
+    let id = undoHistory.imageIds.get(block.src);
+    if (id === undefined) {
+      id = undoHistory.nextImageId++;
+      undoHistory.imageIds.set(block.src, id);
+      undoHistory.images.set(id, block.src);
+    }
+    block.imageId = id;
+    delete block.src;
+  });
+
+  return step;
+}
+
+// The document of a step with its image sources filled back in
+function getHistoryDocument(step) {
+  return {
+    ...step.doc,
+    pages: step.doc.pages.map(page => ({
+      blocks: page.blocks.map(block => {
+        if (block.type !== 'image') return block;
+        const { imageId, ...rest } = block;
+        return { ...rest, src: undoHistory.images.get(imageId) };
+      })
+    }))
+  };
+}
+
+// Call right before the document changes. Consecutive steps of the same
+// kind ('typing', 'delete') less than HISTORY_GROUP_MS apart are merged,
+// up to HISTORY_GROUP_MAX_MS after the first of them.
+function recordHistory(kind) {
+  const now = Date.now();
+  const groupable = kind === 'typing' || kind === 'delete';
+
+  if (groupable && undoHistory.lastKind === kind &&
+      now - undoHistory.lastTime < HISTORY_GROUP_MS &&
+      now - undoHistory.groupStart < HISTORY_GROUP_MAX_MS) {
+    undoHistory.lastTime = now;
+    return;
+  }
+
+  undoHistory.undo.push(captureHistoryStep());
+  if (undoHistory.undo.length > MAX_HISTORY_STEPS) {
+    undoHistory.undo.shift();
+  }
+  undoHistory.redo = [];
+  undoHistory.lastKind = kind;
+  undoHistory.lastTime = now;
+  undoHistory.groupStart = now;
+  pruneHistoryImages();
+}
+
+// loadDocument() recounts the words without recording them, so undo and redo
+// leave the stats alone and the next edit is measured from the restored text
+function restoreHistoryStep(step) {
+  loadDocument(getHistoryDocument(step));
+  setCaretPosition(step.caret);
+  undoHistory.lastKind = null;
+  markDirty();
+}
+
+// Undo and redo restore whole snapshots, which would remove typed text in 1937 mode
+function undo() {
+  if (state.strictMode) return;
+  const step = undoHistory.undo.pop();
+  if (!step) return;
+  undoHistory.redo.push(captureHistoryStep());
+  restoreHistoryStep(step);
+}
+
+function redo() {
+  if (state.strictMode) return;
+  const step = undoHistory.redo.pop();
+  if (!step) return;
+  undoHistory.undo.push(captureHistoryStep());
+  restoreHistoryStep(step);
+}
+
+// Start a fresh history (new, opened or restored document)
+function resetHistory() {
+  undoHistory.undo = [];
+  undoHistory.redo = [];
+  undoHistory.lastKind = null;
+  undoHistory.imageIds.clear();
+  undoHistory.images.clear();
+}
+
+// ===== DIALOGS =====
+// Small in-app modal. `body` is a string, a node, or a function that receives
+// `close(value)` and returns a node. Resolves with the chosen button's value,
+// or null when dismissed with Escape.
+function showDialog({ title, body, buttons = [], className }) {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+
+    const dialog = document.createElement('div');
+    dialog.className = 'dialog';
+    if (className) dialog.classList.add(className);
+    dialog.setAttribute('role', 'dialog');
+
+    const heading = document.createElement('h2');
+    heading.className = 'dialog-title';
+    heading.textContent = title;
+
+    const content = document.createElement('div');
+    content.className = 'dialog-body';
+
+    const actions = document.createElement('div');
+    actions.className = 'dialog-actions';
+
+    function close(value) {
+      document.removeEventListener('keydown', onKeyDown, true);
+      overlay.remove();
+      getCurrentEditor()?.focus();
+      resolve(value);
+    }
+
+    function onKeyDown(e) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        close(null);
+      }
+    }
+
+    if (typeof body === 'function') {
+      content.appendChild(body(close));
+    } else if (typeof body === 'string') {
+      content.textContent = body;
+    } else if (body) {
+      content.appendChild(body);
+    }
+
+    buttons.forEach(({ label, value, primary, danger }) => {
+      const button = document.createElement('button');
+      button.className = 'text-btn';
+      if (primary) button.classList.add('primary');
+      if (danger) button.classList.add('danger');
+      button.textContent = label;
+      button.addEventListener('click', () => close(value));
+      actions.appendChild(button);
+    });
+
+    dialog.append(heading, content, actions);
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    document.addEventListener('keydown', onKeyDown, true);
+
+    (actions.querySelector('.primary') || actions.querySelector('button'))?.focus();
+  });
+}
+
+// Labelled form row for dialog bodies
+function createDialogField(labelText, input) {
+  const field = document.createElement('label');
+  field.className = 'dialog-field';
+
+  const label = document.createElement('span');
+  label.textContent = labelText;
+
+  field.append(label, input);
+  return field;
+}
+
+// Tell the user something went wrong, with the error's message underneath
+function showErrorDialog(title, message, error) {
+  const body = document.createElement('div');
+  const text = document.createElement('p');
+  text.textContent = message;
+  body.appendChild(text);
+
+  if (error) {
+    const detail = document.createElement('p');
+    detail.textContent = String(error.message || error);
+    body.appendChild(detail);
+  }
+
+  return showDialog({
+    title,
+    body,
+    buttons: [{ label: t('common.ok'), value: null, primary: true }]
+  });
+}
+
+// ===== AUTOSAVE =====
+// Periodic snapshots of the whole document in the app data folder
+const AUTOSAVE_DIR = 'autosave';
+const AUTOSAVE_INTERVAL = 30000; // ms
+const MAX_AUTOSAVE_SNAPSHOTS = 10;
+// Set while the newest snapshot holds nothing unsaved; the restore prompt
+// is only shown when it is missing, i.e. after a crash
+const AUTOSAVE_CLEAN_KEY = 'typewriter-autosave-clean';
+let lastAutosaveJson = null;
+
+function setAutosaveClean(clean) {
+  try {
+    if (clean) {
+      localStorage.setItem(AUTOSAVE_CLEAN_KEY, '1');
+    } else {
+      localStorage.removeItem(AUTOSAVE_CLEAN_KEY);
+    }
+  } catch (e) {
+    console.warn('Could not store the autosave state:', e);
+  }
+}
+
+function isDocumentEmpty() {
+  return pages.every(page => {
+    const editor = page.querySelector('.page-editor');
+    return !editor.textContent.trim() && !editor.querySelector('.image-line');
+  });
+}
+
+async function listAutosaveSnapshots() {
+  const { readDir, exists, BaseDirectory } = window.__TAURI__.fs;
+  const baseDir = BaseDirectory.AppData;
+
+  if (!await exists(AUTOSAVE_DIR, { baseDir })) return [];
+
+  const entries = await readDir(AUTOSAVE_DIR, { baseDir });
+  return entries
+    .filter(entry => entry.isFile && entry.name.endsWith(`.${DOCUMENT_EXTENSION}`))
+    .map(entry => entry.name)
+    .sort()
+    .reverse(); // Newest first (names start with a timestamp)
+}
+
+async function autosave() {
+  if (!window.__TAURI__ || isDocumentEmpty()) return;
+
+  // Serialize synchronously so callers can clear the pages right after
+  const doc = serializeDocument();
+  const json = JSON.stringify(doc);
+  if (json === lastAutosaveJson) return;
+
+  const savedAt = Date.now();
+  doc.autosave = { savedAt, filePath: state.filePath };
+
+  try {
+    const { mkdir, writeTextFile, remove, BaseDirectory } = window.__TAURI__.fs;
+    const baseDir = BaseDirectory.AppData;
+
+    await mkdir(AUTOSAVE_DIR, { baseDir, recursive: true });
+    await writeTextFile(`${AUTOSAVE_DIR}/${savedAt}.${DOCUMENT_EXTENSION}`, JSON.stringify(doc), { baseDir });
+    // Only now, so a failed write is retried on the next tick
+    lastAutosaveJson = json;
+    setAutosaveClean(!state.dirty);
+
+    // Keep only the most recent snapshots
+    const snapshots = await listAutosaveSnapshots();
+    for (const name of snapshots.slice(MAX_AUTOSAVE_SNAPSHOTS)) {
+      await remove(`${AUTOSAVE_DIR}/${name}`, { baseDir });
+    }
+  } catch (e) {
+    console.error('Autosave failed:', e);
+  }
+}
+
+function startAutosave() {
+  if (!window.__TAURI__) return;
+  setInterval(autosave, AUTOSAVE_INTERVAL);
+}
+
+async function readAutosaveSnapshot(name) {
+  const { readTextFile, BaseDirectory } = window.__TAURI__.fs;
+  const text = await readTextFile(`${AUTOSAVE_DIR}/${name}`, { baseDir: BaseDirectory.AppData });
+  return JSON.parse(text);
+}
+
+// Short description of a snapshot for the restore list
+function describeSnapshot(doc) {
+  const savedAt = new Date(doc.autosave?.savedAt || 0).toLocaleString(currentLocale);
+  const firstLine = doc.pages
+    .flatMap(page => page.blocks)
+    .filter(block => block.type === 'line')
+    .map(block => block.runs.map(run => run.text).join('').trim())
+    .find(text => text) || '';
+  const preview = firstLine.length > 40 ? firstLine.slice(0, 40) + '…' : firstLine;
+  const pageLabel = t('restore.pages', { count: doc.pages.length });
+  return `${savedAt} — ${pageLabel}${preview ? ` — „${preview}“` : ''}`;
+}
+
+// All readable snapshots, newest first
+async function readAutosaveSnapshots() {
+  const snapshots = [];
+  try {
+    const names = await listAutosaveSnapshots();
+    for (const name of names) {
+      try {
+        snapshots.push(await readAutosaveSnapshot(name));
+      } catch (e) {
+        console.warn(`Autosave ${name} is not readable:`, e);
+      }
+    }
+  } catch (e) {
+    console.error('Could not read autosaves:', e);
+  }
+  return snapshots;
+}
+
+// Buttons for the snapshots; `onPick(doc)` is called with the chosen one
+function createSnapshotList(snapshots, onPick) {
+  const list = document.createElement('ul');
+  list.className = 'snapshot-list';
+  snapshots.forEach(doc => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.className = 'snapshot-item';
+    button.textContent = describeSnapshot(doc);
+    button.addEventListener('click', () => onPick(doc));
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+  return list;
+}
+
+function restoreSnapshot(doc) {
+  try {
+    loadDocument(doc);
+    state.filePath = doc.autosave?.filePath || null;
+    lastAutosaveJson = JSON.stringify(serializeDocument());
+    // The snapshot was never saved to a file
+    setDirty(true);
+    resetHistory();
+    strictCaret = null;
+  } catch (e) {
+    console.error('Restoring the snapshot failed:', e);
+  }
+}
+
+// After a crash, offer to restore the last session (or an older snapshot) on launch
+async function offerSessionRestore() {
+  if (!window.__TAURI__ || localStorage.getItem(AUTOSAVE_CLEAN_KEY)) return;
+
+  const snapshots = await readAutosaveSnapshots();
+  if (snapshots.length === 0) return;
+
+  const choice = await showDialog({
+    title: t('restore.title'),
+    body: (close) => {
+      const wrapper = document.createElement('div');
+
+      const intro = document.createElement('p');
+      intro.textContent = t('restore.intro');
+      wrapper.append(intro, createSnapshotList(snapshots, close));
+
+      return wrapper;
+    },
+    buttons: [
+      { label: t('restore.startFresh'), value: null },
+      { label: t('restore.latest'), value: snapshots[0], primary: true }
+    ]
+  });
+
+  if (choice) {
+    restoreSnapshot(choice);
+  } else {
+    setAutosaveClean(true);
+  }
+}
+
+// Settings section: pick any recent snapshot at any time
+function renderSnapshotSettings() {
+  const container = document.createElement('div');
+
+  const hint = document.createElement('p');
+  hint.textContent = t(window.__TAURI__ ? 'restore.hint' : 'restore.desktopOnly');
+  container.appendChild(hint);
+  if (!window.__TAURI__) return container;
+
+  readAutosaveSnapshots().then(snapshots => {
+    if (snapshots.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = t('restore.empty');
+      container.appendChild(empty);
+      return;
+    }
+
+    container.appendChild(createSnapshotList(snapshots, async (doc) => {
+      if (await confirmDiscardChanges()) restoreSnapshot(doc);
+    }));
+  });
+
+  return container;
+}
+
+
+// ===== IMAGE DRAG AND DROP =====
+const IMAGE_MIME_TYPES = {
+  'png': 'image/png',
+  'jpg': 'image/jpeg',
+  'jpeg': 'image/jpeg',
+  'gif': 'image/gif',
+  'webp': 'image/webp',
+  'bmp': 'image/bmp',
+  'svg': 'image/svg+xml'
+};
+
+function handleDragOver(e) {
+  e.preventDefault();
+  e.stopPropagation();
+  if (e.dataTransfer) {
+    e.dataTransfer.dropEffect = 'copy';
+  }
+  const editor = getCurrentEditor();
+  if (editor) editor.classList.add('drag-over');
+}
+
+function handleDragLeave(e) {
+  e.preventDefault();
+  const editor = getCurrentEditor();
+  if (editor) editor.classList.remove('drag-over');
+}
+
+function handleDrop(e) {
+  e.preventDefault();
+  e.stopPropagation();
+  const editor = getCurrentEditor();
+  if (editor) editor.classList.remove('drag-over');
+
+  // Browser file drop
   if (e.dataTransfer?.files?.length) {
     for (const file of e.dataTransfer.files) {
       if (file.type.startsWith('image/')) {
@@ -1250,7 +3898,7 @@ async function setupTauriFileDrop() {
       if (Array.isArray(paths)) {
         for (const filePath of paths) {
           const ext = filePath.toLowerCase().split('.').pop();
-          if (['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'svg'].includes(ext)) {
+          if (IMAGE_MIME_TYPES[ext]) {
             insertImageFromPath(filePath);
           }
         }
@@ -1263,29 +3911,24 @@ async function setupTauriFileDrop() {
   }
 }
 
+// Read an image file through Tauri's fs API as a data URL
+async function readImageAsDataUrl(filePath) {
+  const fileData = await window.__TAURI__.fs.readFile(filePath);
+
+  // Determine MIME type from extension
+  const ext = filePath.toLowerCase().split('.').pop();
+  const mimeType = IMAGE_MIME_TYPES[ext] || 'image/png';
+
+  // Convert to base64 data URL
+  const base64 = btoa(
+    fileData.reduce((data, byte) => data + String.fromCharCode(byte), '')
+  );
+  return `data:${mimeType};base64,${base64}`;
+}
+
 async function insertImageFromPath(filePath) {
   try {
-    // Read the file as binary data using Tauri's fs API
-    const fileData = await window.__TAURI__.fs.readFile(filePath);
-
-    // Determine MIME type from extension
-    const ext = filePath.toLowerCase().split('.').pop();
-    const mimeTypes = {
-      'png': 'image/png',
-      'jpg': 'image/jpeg',
-      'jpeg': 'image/jpeg',
-      'gif': 'image/gif',
-      'webp': 'image/webp',
-      'bmp': 'image/bmp',
-      'svg': 'image/svg+xml'
-    };
-    const mimeType = mimeTypes[ext] || 'image/png';
-
-    // Convert to base64 data URL
-    const base64 = btoa(
-      fileData.reduce((data, byte) => data + String.fromCharCode(byte), '')
-    );
-    const dataUrl = `data:${mimeType};base64,${base64}`;
+    const dataUrl = await readImageAsDataUrl(filePath);
 
     const img = document.createElement('img');
     img.className = 'editor-image';
@@ -1326,33 +3969,536 @@ function insertImageFromFile(file) {
   reader.readAsDataURL(file);
 }
 
-function insertImageElement(img) {
-
-  // Create a container div for the image
-  const imageContainer = document.createElement('div');
-  imageContainer.className = 'image-line';
-  imageContainer.contentEditable = 'false';
-
-  // Create wrapper for image and button
-  const imageWrapper = document.createElement('div');
-  imageWrapper.className = 'image-wrapper';
-
-  // Create newspaper filter button
-  const filterBtn = document.createElement('button');
-  filterBtn.className = 'image-filter-btn';
-  filterBtn.innerHTML = '&#128240;'; // Newspaper emoji
-  filterBtn.title = 'Zeitungs-Filter';
-  filterBtn.onclick = (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    img.classList.toggle('newspaper-filter');
-    imageWrapper.classList.toggle('has-filter');
-    filterBtn.classList.toggle('active');
+// ===== IMAGE TOOLBAR =====
+// Every image has a toolbar (alignment, width, caption, replace, filter,
+// delete) and a handle to resize it by dragging. Alignment and width are
+// kept as data attributes on the .image-line, the caption as a line of
+// text under the image; getImageLayout() reads them for saving and export.
+const IMAGE_ALIGNMENTS = ['left', 'center', 'right'];
+const IMAGE_MIN_WIDTH = 10; // % of the text width
+
+function getImageLayout(imageContainer) {
+  return {
+    align: imageContainer.dataset.align || 'center',
+    width: Number(imageContainer.dataset.width) || null, // null = natural size
+    caption: imageContainer.querySelector('.image-caption')?.textContent || ''
   };
+}
 
-  imageWrapper.appendChild(img);
-  imageWrapper.appendChild(filterBtn);
+// Apply the given parts of an image's layout (see getImageLayout())
+function setImageLayout(imageContainer, { align, width, caption }) {
+  if (align !== undefined) {
+    imageContainer.dataset.align = align;
+    imageContainer.querySelectorAll('[data-align-button]').forEach(button => {
+      button.classList.toggle('active', button.dataset.alignButton === align);
+    });
+  }
+
+  if (width !== undefined) {
+    const wrapper = imageContainer.querySelector('.image-wrapper');
+    if (width) {
+      imageContainer.dataset.width = width;
+      wrapper.style.width = `${width}%`;
+    } else {
+      delete imageContainer.dataset.width;
+      wrapper.style.width = '';
+    }
+  }
+
+  if (caption !== undefined) {
+    let captionElement = imageContainer.querySelector('.image-caption');
+    if (caption) {
+      if (!captionElement) {
+        captionElement = document.createElement('div');
+        captionElement.className = 'image-caption';
+        imageContainer.appendChild(captionElement);
+      }
+      captionElement.textContent = caption;
+    } else {
+      captionElement?.remove();
+    }
+  }
+}
+
+// A layout change from the toolbar, as one undo step
+function changeImageLayout(imageContainer, changes) {
+  recordHistory('image');
+  setImageLayout(imageContainer, changes);
+  markDirty();
+  requestAnimationFrame(() => checkPageOverflow());
+}
+
+async function editImageWidth(imageContainer) {
+  const { width } = getImageLayout(imageContainer);
+  let input;
+
+  const choice = await showDialog({
+    title: t('image.width'),
+    body: () => {
+      input = createInput('number', width || 100, { min: IMAGE_MIN_WIDTH, max: 100, step: 5 });
+      return createDialogField(t('image.widthField'), input);
+    },
+    buttons: [
+      { label: t('common.cancel'), value: null },
+      { label: t('image.widthAuto'), value: 'auto' },
+      { label: t('common.ok'), value: 'ok', primary: true }
+    ]
+  });
+
+  if (choice === 'auto') {
+    changeImageLayout(imageContainer, { width: null });
+  } else if (choice === 'ok') {
+    changeImageLayout(imageContainer, { width: clampNumber(input.value, IMAGE_MIN_WIDTH, 100, 100) });
+  }
+}
+
+async function editImageCaption(imageContainer) {
+  let input;
+
+  const confirmed = await showDialog({
+    title: t('image.caption'),
+    body: () => {
+      input = createInput('text', getImageLayout(imageContainer).caption);
+      return createDialogField(t('image.caption'), input);
+    },
+    buttons: [
+      { label: t('common.cancel'), value: false },
+      { label: t('common.ok'), value: true, primary: true }
+    ]
+  });
+
+  if (confirmed) {
+    changeImageLayout(imageContainer, { caption: input.value.trim() });
+  }
+}
+
+// Let the user pick an image file; resolves with a data URL or null
+async function pickImageDataUrl() {
+  if (window.__TAURI__) {
+    const filePath = await window.__TAURI__.dialog.open({
+      multiple: false,
+      filters: [{ name: t('file.images'), extensions: Object.keys(IMAGE_MIME_TYPES) }]
+    });
+    return filePath ? readImageAsDataUrl(filePath) : null;
+  }
+
+  return new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/*';
+    input.onchange = () => {
+      const file = input.files?.[0];
+      if (!file) return resolve(null);
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsDataURL(file);
+    };
+    input.click();
+  });
+}
+
+async function replaceImage(imageContainer) {
+  if (state.strictMode) return;
+
+  try {
+    const dataUrl = await pickImageDataUrl();
+    if (!dataUrl) return;
+
+    // Decode it first, so a broken file leaves the old image in place
+    const replacement = new Image();
+    await new Promise((resolve, reject) => {
+      replacement.onload = resolve;
+      replacement.onerror = reject;
+      replacement.src = dataUrl;
+    });
+
+    const img = imageContainer.querySelector('.editor-image');
+    recordHistory('image');
+    img.addEventListener('load', () => checkPageOverflow(), { once: true });
+    img.src = dataUrl;
+    markDirty();
+  } catch (e) {
+    console.error('Failed to replace image:', e);
+    await showErrorDialog(t('image.replace'), t('image.replaceFailed'));
+  }
+}
+
+function deleteImage(imageContainer) {
+  if (state.strictMode) return;
+
+  const editor = imageContainer.closest('.page-editor');
+  recordHistory('image');
+
+  const nextLine = imageContainer.nextElementSibling;
+  imageContainer.remove();
+
+  // Keep at least one line to type on
+  let line = nextLine?.classList.contains('line') ? nextLine : editor.querySelector('.line');
+  if (!line) {
+    line = document.createElement('div');
+    line.className = 'line';
+    line.dataset.font = state.font;
+    editor.appendChild(line);
+  }
+
+  editor.focus();
+  const range = document.createRange();
+  range.setStart(line, 0);
+  range.collapse(true);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+
+  markDirty();
+  updateCounts();
+}
+
+// Drag the corner handle to set the width. Centred images grow on both
+// sides, right-aligned ones to the left.
+function startImageResize(e, imageContainer) {
+  e.preventDefault();
+  e.stopPropagation();
+
+  const wrapper = imageContainer.querySelector('.image-wrapper');
+  const available = imageContainer.clientWidth;
+  const startX = e.clientX;
+  const startWidth = wrapper.getBoundingClientRect().width;
+  const direction = { left: 1, center: 2, right: -1 }[getImageLayout(imageContainer).align];
+  let resized = false;
+
+  function onMove(moveEvent) {
+    const width = startWidth + (moveEvent.clientX - startX) * direction;
+    const percent = Math.round(clampNumber(width / available * 100, IMAGE_MIN_WIDTH, 100, 100));
+    if (!resized) {
+      recordHistory('image');
+      resized = true;
+    }
+    setImageLayout(imageContainer, { width: percent });
+  }
+
+  function onUp() {
+    window.removeEventListener('pointermove', onMove);
+    window.removeEventListener('pointerup', onUp);
+    if (resized) {
+      markDirty();
+      checkPageOverflow();
+    }
+  }
+
+  window.addEventListener('pointermove', onMove);
+  window.addEventListener('pointerup', onUp);
+}
+
+function createImageToolButton(icon, titleKey, onClick) {
+  const button = document.createElement('button');
+  button.className = 'image-tool-btn';
+  button.textContent = icon;
+  button.dataset.i18nTitle = titleKey;
+  button.title = t(titleKey);
+  button.onclick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    onClick();
+  };
+  return button;
+}
+
+// Build the non-editable container (image, toolbar, resize handle) for an image
+function createImageContainer(img) {
+  const imageContainer = document.createElement('div');
+  imageContainer.className = 'image-line';
+  imageContainer.contentEditable = 'false';
+
+  const imageWrapper = document.createElement('div');
+  imageWrapper.className = 'image-wrapper';
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'image-toolbar';
+
+  [['left', '⇤', 'image.alignLeft'], ['center', '↔', 'image.alignCenter'], ['right', '⇥', 'image.alignRight']]
+    .forEach(([align, icon, titleKey]) => {
+      const button = createImageToolButton(icon, titleKey, () => changeImageLayout(imageContainer, { align }));
+      button.dataset.alignButton = align;
+      toolbar.appendChild(button);
+    });
+
+  const filterBtn = createImageToolButton('📰', 'image.treatment', () => chooseImageTreatment(imageContainer));
+  filterBtn.classList.add('image-filter-btn');
+
+  toolbar.append(
+    createImageToolButton('%', 'image.width', () => editImageWidth(imageContainer)),
+    createImageToolButton('✎', 'image.caption', () => editImageCaption(imageContainer)),
+    createImageToolButton('⇄', 'image.replace', () => replaceImage(imageContainer)),
+    filterBtn,
+    createImageToolButton('✕', 'image.delete', () => deleteImage(imageContainer))
+  );
+
+  const resizeHandle = document.createElement('div');
+  resizeHandle.className = 'image-resize-handle';
+  resizeHandle.addEventListener('pointerdown', (e) => startImageResize(e, imageContainer));
+
+  imageWrapper.append(img, toolbar, resizeHandle);
   imageContainer.appendChild(imageWrapper);
+  setImageLayout(imageContainer, { align: 'center' });
+
+  // Re-render the treatment preview once the image (or its replacement) has loaded
+  img.addEventListener('load', () => updateTreatmentPreview(imageContainer));
+
+  return imageContainer;
+}
+
+// ===== PHOTO TREATMENTS =====
+// Period looks for images. A treatment is computed pixel by pixel on a
+// canvas by renderTreatedImage(); the editor shows that canvas over the
+// image and the export draws the very same canvas. Grain and torn edges
+// come from seeded noise, so every render of an image is identical.
+const IMAGE_TREATMENTS = ['none', 'newspaper', 'halftone', 'sepia', 'cyanotype', 'daguerreotype', 'xerox', 'torn'];
+const TREATMENT_MAX_SIZE = 1200; // Longest side of a treated image in px
+const TREATMENT_PAPER = [245, 240, 228];
+const TREATMENT_INK = [28, 26, 24];
+
+// img -> { src, treatment, canvas }; the last render of each image
+const treatedImages = new WeakMap();
+
+function luminance(r, g, b) {
+  return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+function mixColor(from, to, amount) {
+  return from.map((channel, i) => channel + (to[i] - channel) * amount);
+}
+
+// Piecewise linear ramp through [input, output] stops
+function rampValue(value, stops) {
+  if (value <= stops[0][0]) return stops[0][1];
+  for (let i = 1; i < stops.length; i++) {
+    const [x1, y1] = stops[i];
+    if (value <= x1) {
+      const [x0, y0] = stops[i - 1];
+      return y0 + (y1 - y0) * (value - x0) / (x1 - x0);
+    }
+  }
+  return stops[stops.length - 1][1];
+}
+
+// Distance from the centre: 0 in the middle, 1 at the edges (x/y) or corners (corner = true)
+function centreDistance(x, y, width, height, corner) {
+  const distance = Math.hypot(x / (width - 1) * 2 - 1, y / (height - 1) * 2 - 1);
+  return corner ? distance / Math.SQRT2 : distance;
+}
+
+// Smooth 1D noise in 0..1 with a few octaves, for torn edges
+function edgeNoise(position, salt) {
+  let value = 0;
+  for (let octave = 0; octave < 3; octave++) {
+    const t = position * 2 ** octave;
+    const index = Math.floor(t);
+    const f = t - index;
+    const a = ribbonNoise(index, salt + octave);
+    const b = ribbonNoise(index + 1, salt + octave);
+    value += (a + (b - a) * f * f * (3 - 2 * f)) / 2 ** octave;
+  }
+  return value / 1.75;
+}
+
+// Run `map(r, g, b, x, y, index)` over every pixel; it returns [r, g, b] or [r, g, b, a]
+function mapPixels(imageData, map) {
+  const { data, width, height } = imageData;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const i = index * 4;
+      const [r, g, b, a = data[i + 3]] = map(data[i], data[i + 1], data[i + 2], x, y, index);
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = a;
+    }
+  }
+}
+
+const TREATMENT_FILTERS = {
+  // Grainy, high-contrast greyscale with darkened corners
+  newspaper(imageData) {
+    const { width, height } = imageData;
+    mapPixels(imageData, (r, g, b, x, y, index) => {
+      const shade = 1 - rampValue(centreDistance(x, y, width, height, true), [[0.4, 0], [0.7, 0.15], [1, 0.35]]);
+      const gray = (luminance(r, g, b) * 1.4 - 38) * (0.85 + 0.15 * ribbonNoise(index, 51)) * shade;
+      return [gray, gray, gray];
+    });
+  },
+
+  // Printing dots on a 45° screen, bigger where the photo is darker
+  halftone(imageData) {
+    const { data, width, height } = imageData;
+    const gray = new Float32Array(width * height);
+    for (let index = 0; index < gray.length; index++) {
+      gray[index] = luminance(data[index * 4], data[index * 4 + 1], data[index * 4 + 2]);
+    }
+
+    const cell = Math.max(4, Math.round(Math.max(width, height) / 110));
+    mapPixels(imageData, (r, g, b, x, y) => {
+      const u = (x + y) / Math.SQRT2;
+      const v = (x - y) / Math.SQRT2;
+      const centreU = (Math.floor(u / cell) + 0.5) * cell;
+      const centreV = (Math.floor(v / cell) + 0.5) * cell;
+      const sampleX = Math.min(width - 1, Math.max(0, Math.round((centreU + centreV) / Math.SQRT2)));
+      const sampleY = Math.min(height - 1, Math.max(0, Math.round((centreU - centreV) / Math.SQRT2)));
+
+      const radius = cell * 0.6 * Math.sqrt(1 - gray[sampleY * width + sampleX] / 255);
+      const coverage = Math.min(1, Math.max(0, radius - Math.hypot(u - centreU, v - centreV) + 0.5));
+      return mixColor(TREATMENT_PAPER, TREATMENT_INK, coverage);
+    });
+  },
+
+  // Warm brown tones, slightly faded, with soft corners
+  sepia(imageData) {
+    const { width, height } = imageData;
+    mapPixels(imageData, (r, g, b, x, y) => {
+      const toned = [
+        0.393 * r + 0.769 * g + 0.189 * b,
+        0.349 * r + 0.686 * g + 0.168 * b,
+        0.272 * r + 0.534 * g + 0.131 * b
+      ];
+      const shade = 1 - rampValue(centreDistance(x, y, width, height, true), [[0.5, 0], [1, 0.25]]);
+      return mixColor(toned, TREATMENT_PAPER, 0.12).map(channel => channel * shade);
+    });
+  },
+
+  // Prussian blue print: shadows deep blue, highlights the white of the paper
+  cyanotype(imageData) {
+    mapPixels(imageData, (r, g, b, x, y, index) => {
+      const light = Math.min(1, Math.max(0, luminance(r, g, b) / 255 + (ribbonNoise(index, 52) - 0.5) * 0.06));
+      return mixColor([18, 45, 95], [232, 240, 246], light ** 0.9);
+    });
+  },
+
+  // Soft silver plate in an oval, fading into the dark of the case
+  daguerreotype(imageData) {
+    const { width, height } = imageData;
+    mapPixels(imageData, (r, g, b, x, y) => {
+      const silver = mixColor([34, 30, 28], [214, 216, 212], 0.15 + luminance(r, g, b) / 255 * 0.75);
+      const oval = rampValue(centreDistance(x, y, width, height, false), [[0.7, 0], [0.95, 1]]);
+      return mixColor(silver, [20, 17, 14], oval);
+    });
+  },
+
+  // Harsh black and white with streaks, toner specks and drop-outs
+  xerox(imageData) {
+    mapPixels(imageData, (r, g, b, x, y, index) => {
+      let light = 1 / (1 + Math.exp(-(luminance(r, g, b) / 255 - 0.5) * 12));
+      light *= 0.92 + 0.08 * ribbonNoise(x, 53);
+      const speck = ribbonNoise(index, 54);
+      if (speck < 0.004) light = 0;
+      else if (speck > 0.997) light = 1;
+      const gray = 20 + light * 235;
+      return [gray, gray, gray];
+    });
+  },
+
+  // Ragged, see-through edges with a rim of white paper fibres
+  torn(imageData) {
+    const { width, height } = imageData;
+    const size = Math.min(width, height);
+    const rim = Math.max(2, size * 0.008);
+    const edge = (length, salt) => Array.from({ length }, (_, i) => size * (0.01 + 0.035 * edgeNoise(i / size * 24, salt)));
+    const top = edge(width, 61);
+    const bottom = edge(width, 64);
+    const left = edge(height, 67);
+    const right = edge(height, 70);
+
+    mapPixels(imageData, (r, g, b, x, y) => {
+      const inside = Math.min(y - top[x], height - 1 - y - bottom[x], x - left[y], width - 1 - x - right[y]);
+      const color = mixColor([r, g, b], TREATMENT_PAPER, 0.08);
+      const alpha = Math.min(1, Math.max(0, inside + 1)) * 255;
+      return inside < rim ? [...mixColor(color, [250, 248, 242], 0.8), alpha] : [...color, alpha];
+    });
+  }
+};
+
+// The treated version of a loaded image, as a canvas (cached per image)
+function renderTreatedImage(img, treatment) {
+  const cached = treatedImages.get(img);
+  if (cached && cached.src === img.src && cached.treatment === treatment) {
+    return cached.canvas;
+  }
+
+  const scale = Math.min(1, TREATMENT_MAX_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.className = 'image-treatment';
+  canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  TREATMENT_FILTERS[treatment](imageData);
+  ctx.putImageData(imageData, 0, 0);
+
+  treatedImages.set(img, { src: img.src, treatment, canvas });
+  return canvas;
+}
+
+function getImageTreatment(imageContainer) {
+  return imageContainer.dataset.treatment || 'none';
+}
+
+// Show the rendered treatment over the image in the editor
+function updateTreatmentPreview(imageContainer) {
+  const img = imageContainer.querySelector('.editor-image');
+  const treatment = getImageTreatment(imageContainer);
+  const preview = imageContainer.querySelector('.image-treatment');
+
+  if (treatment === 'none' || !img.complete || !img.naturalWidth) {
+    preview?.remove();
+    return;
+  }
+
+  const canvas = renderTreatedImage(img, treatment);
+  if (canvas !== preview) {
+    preview?.remove();
+    img.after(canvas);
+  }
+}
+
+function setImageTreatment(imageContainer, treatment) {
+  if (treatment === 'none') {
+    delete imageContainer.dataset.treatment;
+  } else {
+    imageContainer.dataset.treatment = treatment;
+  }
+  imageContainer.querySelector('.image-filter-btn').classList.toggle('active', treatment !== 'none');
+  updateTreatmentPreview(imageContainer);
+}
+
+async function chooseImageTreatment(imageContainer) {
+  let select;
+
+  const confirmed = await showDialog({
+    title: t('image.treatment'),
+    body: () => {
+      select = createSelect(
+        IMAGE_TREATMENTS.map(treatment => [treatment, t(`image.treatment.${treatment}`)]),
+        getImageTreatment(imageContainer)
+      );
+      return createDialogField(t('image.treatment'), select);
+    },
+    buttons: [
+      { label: t('common.cancel'), value: false },
+      { label: t('common.ok'), value: true, primary: true }
+    ]
+  });
+
+  if (confirmed && select.value !== getImageTreatment(imageContainer)) {
+    recordHistory('filter');
+    setImageTreatment(imageContainer, select.value);
+    markDirty();
+  }
+}
+
+function insertImageElement(img) {
+  recordHistory('image');
+  const imageContainer = createImageContainer(img);
 
   // Find current line or insert at cursor position
   const selection = window.getSelection();
@@ -1401,11 +4547,25 @@ function insertImageElement(img) {
     editor.appendChild(newLine);
   }
 
+  markDirty();
+
   // Play sound
   state.sound.play(true);
 }
 
 function handleKeyDown(e) {
+  // 1937 mode: no deleting, and no new lines behind the furthest typing point
+  if (state.strictMode && (STRICT_BLOCKED_KEYS.includes(e.key) ||
+      (e.key === 'Enter' && isBehindStrictCaret()))) {
+    e.preventDefault();
+    return;
+  }
+
+  // Shift moves the type basket and gets a sound of its own
+  if (e.key === 'Shift' && !e.repeat && !e.ctrlKey && !e.metaKey && !e.altKey) {
+    state.sound.playKey(e);
+  }
+
   // Ignore modifier keys alone
   if (['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'].includes(e.key)) {
     return;
@@ -1414,8 +4574,10 @@ function handleKeyDown(e) {
   // Handle Enter - create new line with current font
   if (e.key === 'Enter') {
     e.preventDefault();
-    state.sound.play(true);
+    recordHistory('split');
+    state.sound.playKey(e);
     createNewLine();
+    markDirty();
     return;
   }
 
@@ -1438,6 +4600,7 @@ function handleKeyDown(e) {
 
       if (isAtStart && currentLine.previousElementSibling?.classList.contains('line')) {
         e.preventDefault();
+        recordHistory('merge');
         const prevLine = currentLine.previousElementSibling;
         const prevLength = prevLine.textContent.length;
 
@@ -1458,15 +4621,22 @@ function handleKeyDown(e) {
         }
 
         updateCounts();
-        state.sound.play(false);
+        markDirty();
+        state.sound.playKey(e);
         return;
       }
     }
   }
 
+  // Margin bell, and the hard margin for typed characters
+  if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !checkMarginBell()) {
+    e.preventDefault();
+    return;
+  }
+
   // Play typewriter sound for other keys
   if (e.key.length === 1 || ['Backspace', 'Delete', 'Tab', 'Space'].includes(e.key)) {
-    state.sound.play(false);
+    state.sound.playKey(e);
   }
 }
 
@@ -1569,9 +4739,10 @@ function updateCounts() {
 
   const chars = text.length;
   const words = text === '' ? 0 : text.split(/\s+/).length;
+  currentWordCount = words;
 
-  charCount.textContent = `${chars} Zeichen`;
-  wordCount.textContent = `${words} ${words === 1 ? 'Wort' : 'Wörter'}`;
+  charCount.textContent = t('status.chars', { count: chars });
+  wordCount.textContent = t('status.words', { count: words });
 }
 
 function applyFontToSelection(selection, fontName) {
@@ -1603,59 +4774,1833 @@ function applyFontToSelection(selection, fontName) {
   }
 }
 
-// ===== THEME & FONT =====
-function setTheme(theme) {
-  state.theme = theme;
-  document.body.dataset.theme = theme;
-  savePreferences();
+// ===== 1937 MODE =====
+// Strict typewriter drafting: no Backspace or Delete, nothing can be typed
+// before the furthest point reached, and mistakes are corrected by striking
+// characters out. Earlier text can still be read and selected.
+const STRICT_BLOCKED_KEYS = ['Backspace', 'Delete'];
+
+let strictCaret = null; // Furthest caret position reached in 1937 mode
+
+function compareCaretPositions(a, b) {
+  return (a.page - b.page) || (a.block - b.block) || (a.offset - b.offset);
 }
 
-function setFont(font) {
-  state.font = font;
-  document.body.className = `font-${font}`;
+function setStrictMode(enabled) {
+  state.strictMode = enabled;
+  strictCaret = enabled ? getCaretPosition() : null;
+  if (enabled) {
+    document.body.dataset.strictMode = '';
+  } else {
+    delete document.body.dataset.strictMode;
+  }
   savePreferences();
 }
 
-// ===== PREFERENCES =====
-function savePreferences() {
-  const prefs = {
-    theme: state.theme,
-    font: state.font,
-    volume: volumeSlider.value,
-    soundEnabled: state.sound.enabled
+// Remember how far the caret has got; moving it back is allowed for reading
+function handleStrictSelectionChange() {
+  if (!state.strictMode) return;
+
+  const selection = window.getSelection();
+  if (!selection.rangeCount || !pagesContainer.contains(selection.anchorNode)) return;
+
+  const position = getCaretPosition();
+  if (!strictCaret || compareCaretPositions(position, strictCaret) > 0) {
+    strictCaret = position;
+  }
+}
+
+function isBehindStrictCaret() {
+  return !!strictCaret && compareCaretPositions(getCaretPosition(), strictCaret) < 0;
+}
+
+// Find the line and caret offset of a collapsed selection
+function getCaretInLine() {
+  const selection = window.getSelection();
+  if (!selection.rangeCount) return null;
+
+  const range = selection.getRangeAt(0);
+  const node = range.startContainer;
+  const line = (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement)?.closest('.line');
+  if (!line || !range.collapsed) return null;
+
+  const before = document.createRange();
+  before.selectNodeContents(line);
+  before.setEnd(range.startContainer, range.startOffset);
+  return { line, range, offset: before.toString().length };
+}
+
+// Strike out the last character before the caret that is not struck yet.
+// Pressed repeatedly, it works its way back through the line.
+function overstrike() {
+  const caret = getCaretInLine();
+  if (!caret) return;
+
+  const walker = document.createTreeWalker(caret.line, NodeFilter.SHOW_TEXT);
+  let target = null;
+  let position = 0;
+
+  for (let text = walker.nextNode(); text && position < caret.offset; text = walker.nextNode()) {
+    const end = Math.min(text.length, caret.offset - position);
+    if (end > 0 && !text.parentElement.closest('.struck')) {
+      target = { node: text, offset: end - 1 };
+    }
+    position += text.length;
+  }
+  if (!target) return;
+
+  recordHistory('strike');
+
+  // The selection range is live, so note the caret before changing the DOM
+  const caretNode = caret.range.startContainer;
+  const caretOffset = caret.range.startOffset;
+
+  const charRange = document.createRange();
+  charRange.setStart(target.node, target.offset);
+  charRange.setEnd(target.node, target.offset + 1);
+  const struck = createStruckElement(state.strikeStyle);
+  charRange.surroundContents(struck);
+
+  // Keep the caret where it was, but outside the struck character
+  const range = document.createRange();
+  if (caretNode === target.node) {
+    const after = struck.nextSibling;
+    const offset = caretOffset - target.offset - 1;
+    if (after?.nodeType === Node.TEXT_NODE && offset > 0) {
+      range.setStart(after, offset);
+    } else {
+      range.setStartAfter(struck);
+    }
+  } else {
+    range.setStart(caretNode, caretOffset);
+  }
+  range.collapse(true);
+
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+
+  state.sound.playKey({ key: 'X', code: 'KeyX', shiftKey: true });
+  markDirty();
+}
+
+function renderStrictModeSettings() {
+  const container = document.createElement('div');
+
+  const strictMode = createInput('checkbox', state.strictMode);
+  strictMode.addEventListener('change', () => setStrictMode(strictMode.checked));
+
+  const strikeStyle = createSelect([
+    ['x', t('strict.x')],
+    ['line', t('strict.line')]
+  ], state.strikeStyle);
+  strikeStyle.addEventListener('change', () => {
+    state.strikeStyle = strikeStyle.value;
+    savePreferences();
+  });
+
+  const hint = document.createElement('p');
+  hint.textContent = t('strict.hint');
+
+  container.append(
+    hint,
+    createDialogField(t('strict.mode'), strictMode),
+    createDialogField(t('strict.correction'), strikeStyle)
+  );
+  return container;
+}
+
+// ===== WRITING STATS =====
+// Words written and time spent typing, for this session and per day (kept
+// in localStorage). Pauses longer than STATS_IDLE_LIMIT don't count as
+// typing time.
+const STATS_STORAGE_KEY = 'typewriter-stats';
+const STATS_IDLE_LIMIT = 10000; // ms
+// Text that was not typed: it changes the word count but not the stats
+const STATS_IGNORED_INPUT = ['insertFromPaste', 'insertFromDrop', 'insertFromYank', 'insertReplacementText'];
+
+const session = { words: 0, activeMs: 0, lastInput: 0 };
+let statsHistory = {}; // 'YYYY-MM-DD' -> { words, ms }
+let currentWordCount = 0; // Set by updateCounts()
+let statsSaveTimer = null;
+
+// Local calendar day, e.g. '2026-10-19'
+function getDayKey(date = new Date()) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function loadStats() {
+  try {
+    statsHistory = JSON.parse(localStorage.getItem(STATS_STORAGE_KEY) || '{}').days || {};
+  } catch (e) {
+    console.warn('Could not load stats:', e);
+  }
+
+  // A clean document closes without asking, so write pending stats whenever
+  // the window may be going away
+  const flushStats = () => {
+    if (statsSaveTimer) saveStats();
   };
-  localStorage.setItem('typewriter-prefs', JSON.stringify(prefs));
+  window.addEventListener('pagehide', flushStats);
+  window.addEventListener('beforeunload', flushStats);
+  window.addEventListener('blur', flushStats);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushStats();
+  });
 }
 
-function loadPreferences() {
+function saveStats() {
+  clearTimeout(statsSaveTimer);
+  statsSaveTimer = null;
   try {
-    const saved = localStorage.getItem('typewriter-prefs');
-    if (saved) {
-      const prefs = JSON.parse(saved);
+    localStorage.setItem(STATS_STORAGE_KEY, JSON.stringify({ days: statsHistory }));
+  } catch (e) {
+    console.warn('Could not save stats:', e);
+  }
+}
 
-      // Apply theme
-      if (prefs.theme) {
-        state.theme = prefs.theme;
-        themeSelect.value = prefs.theme;
-        document.body.dataset.theme = prefs.theme;
-      }
+// Called after every edit with the change of the word count
+function recordTyping(wordDelta) {
+  const now = Date.now();
+  const elapsed = now - session.lastInput;
+  const activeMs = session.lastInput && elapsed < STATS_IDLE_LIMIT ? elapsed : 0;
+  session.lastInput = now;
+  session.activeMs += activeMs;
+  session.words += wordDelta;
+
+  const day = statsHistory[getDayKey()] ||= { words: 0, ms: 0 };
+  day.words = Math.max(0, day.words + wordDelta);
+  day.ms += activeMs;
+
+  updateStatsDisplay();
+  statsSaveTimer ??= setTimeout(saveStats, 2000);
+}
 
-      // Apply font
-      if (prefs.font) {
-        state.font = prefs.font;
-        fontSelect.value = prefs.font;
-        document.body.className = `font-${prefs.font}`;
-      }
+function getWordsPerMinute(words, ms) {
+  // Too little typing time for a meaningful rate
+  return ms >= 30000 ? Math.round(words / (ms / 60000)) : null;
+}
 
-      // Apply volume
-      if (prefs.volume !== undefined) {
-        volumeSlider.value = prefs.volume;
-        state.sound.setVolume(prefs.volume / 100);
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  return minutes >= 60
+    ? `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`
+    : `${minutes} min`;
+}
+
+function updateStatsDisplay() {
+  const words = Math.max(0, session.words);
+  const parts = [t('stats.session', { count: words }), formatDuration(session.activeMs)];
+  const wpm = getWordsPerMinute(words, session.activeMs);
+  if (wpm !== null) parts.push(t('stats.wpm', { count: wpm }));
+  sessionSummary.textContent = parts.join(' · ');
+
+  const goal = state.dailyGoal;
+  const today = statsHistory[getDayKey()]?.words || 0;
+  goalIndicator.style.display = goal ? '' : 'none';
+  goalIndicator.classList.toggle('reached', goal > 0 && today >= goal);
+  goalFill.style.width = goal ? `${Math.min(100, today / goal * 100)}%` : '0';
+  goalText.textContent = t('stats.dailyGoal', { today, goal });
+}
+
+function getStatsCsv() {
+  const rows = [['date', 'words', 'minutes', 'wpm']];
+  Object.keys(statsHistory).sort().forEach(date => {
+    const { words, ms } = statsHistory[date];
+    rows.push([date, words, (ms / 60000).toFixed(1), getWordsPerMinute(words, ms) ?? '']);
+  });
+  return rows.map(row => row.join(',')).join('\n') + '\n';
+}
+
+async function exportStatsCsv() {
+  const csv = getStatsCsv();
+  const fileName = `${t('stats.fileName', { date: getDayKey() })}.csv`;
+
+  try {
+    const filePath = await window.__TAURI__.dialog.save({
+      defaultPath: fileName,
+      filters: [{ name: 'CSV', extensions: ['csv'] }]
+    });
+
+    if (filePath) {
+      await window.__TAURI__.fs.writeTextFile(filePath, csv);
+      console.log('Saved:', filePath);
+    }
+  } catch (e) {
+    console.error('CSV export failed:', e);
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), fileName);
+  }
+}
+
+function renderStatsSettings() {
+  const container = document.createElement('div');
+
+  const goal = createInput('number', state.dailyGoal, { min: 0, max: 100000, step: 50 });
+  goal.addEventListener('change', () => {
+    state.dailyGoal = clampNumber(goal.value, 0, 100000, 500);
+    savePreferences();
+    updateStatsDisplay();
+  });
+  container.appendChild(createDialogField(t('stats.goalField'), goal));
+
+  const dates = Object.keys(statsHistory).sort().reverse();
+  if (dates.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = t('stats.empty');
+    container.appendChild(empty);
+  } else {
+    const table = document.createElement('table');
+    table.className = 'stats-table';
+
+    const header = table.createTHead().insertRow();
+    [t('stats.day'), t('stats.words'), t('stats.time'), t('stats.wpmColumn')].forEach(label => {
+      const cell = document.createElement('th');
+      cell.textContent = label;
+      header.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    dates.forEach(date => {
+      const { words, ms } = statsHistory[date];
+      const row = body.insertRow();
+      [
+        new Date(`${date}T00:00`).toLocaleDateString(currentLocale),
+        words,
+        formatDuration(ms),
+        getWordsPerMinute(words, ms) ?? '–'
+      ].forEach(value => {
+        row.insertCell().textContent = value;
+      });
+    });
+    container.appendChild(table);
+  }
+
+  const exportButton = document.createElement('button');
+  exportButton.className = 'text-btn';
+  exportButton.textContent = t('stats.exportCsv');
+  exportButton.addEventListener('click', exportStatsCsv);
+  container.appendChild(exportButton);
+
+  return container;
+}
+
+// ===== FOCUS MODE =====
+// Typewriter scrolling keeps the caret line centred like the platen, text
+// away from the caret is dimmed, and the bars hide while typing until the
+// mouse moves.
+let focusUpdatePending = false;
+
+function setBodyFlag(name, enabled) {
+  if (enabled) {
+    document.body.dataset[name] = '';
+  } else {
+    delete document.body.dataset[name];
+  }
+}
+
+function setFocusMode(enabled) {
+  state.focusMode = enabled;
+  applyFocusMode();
+  savePreferences();
+}
+
+function applyFocusMode() {
+  const active = state.focusMode;
+  const { typewriterScrolling, dim, hideChrome } = state.focus;
+
+  setBodyFlag('focusScroll', active && typewriterScrolling);
+  if (active && dim !== 'off') {
+    document.body.dataset.focusDim = dim;
+  } else {
+    delete document.body.dataset.focusDim;
+  }
+  if (!active || !hideChrome) {
+    setBodyFlag('chromeHidden', false);
+  }
+
+  if (!active) {
+    pagesContainer.querySelectorAll('.is-current, .in-current-paragraph').forEach(line => {
+      line.classList.remove('is-current', 'in-current-paragraph');
+    });
+  }
+  scheduleFocusUpdate();
+}
+
+function scheduleFocusUpdate() {
+  if (!state.focusMode || focusUpdatePending) return;
+  focusUpdatePending = true;
+  requestAnimationFrame(() => {
+    focusUpdatePending = false;
+    updateFocus();
+  });
+}
+
+// Mark the caret's line and paragraph, and centre the caret
+function updateFocus() {
+  const selection = window.getSelection();
+  if (!selection.rangeCount || !pagesContainer.contains(selection.focusNode)) return;
+
+  const node = selection.focusNode;
+  const line = (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement)?.closest('.line');
+  if (!line) return;
+
+  // A paragraph is a run of non-empty lines
+  const paragraph = [line];
+  if (line.textContent.trim()) {
+    for (let el = line.previousElementSibling; el?.classList.contains('line') && el.textContent.trim(); el = el.previousElementSibling) {
+      paragraph.push(el);
+    }
+    for (let el = line.nextElementSibling; el?.classList.contains('line') && el.textContent.trim(); el = el.nextElementSibling) {
+      paragraph.push(el);
+    }
+  }
+
+  pagesContainer.querySelectorAll('.is-current, .in-current-paragraph').forEach(el => {
+    if (!paragraph.includes(el)) el.classList.remove('is-current', 'in-current-paragraph');
+  });
+  paragraph.forEach(el => {
+    el.classList.toggle('is-current', el === line);
+    el.classList.add('in-current-paragraph');
+  });
+
+  if (state.focus.typewriterScrolling) {
+    centerCaret(line, selection.getRangeAt(0));
+  }
+}
+
+function centerCaret(line, range) {
+  const editor = line.closest('.page-editor');
+  if (!editor) return;
+
+  // A long line wraps, so follow the caret itself when it has a box
+  const caretRect = range.getClientRects()[0];
+  const target = caretRect?.height ? caretRect : line.getBoundingClientRect();
+  const editorRect = editor.getBoundingClientRect();
+
+  const delta = (target.top + target.height / 2) - (editorRect.top + editorRect.height / 2);
+  if (Math.abs(delta) > 2) {
+    editor.scrollBy({ top: delta, behavior: 'smooth' });
+  }
+}
+
+// Hide the bars on typing, show them again when the mouse moves
+function handleFocusTyping(e) {
+  if (!state.focusMode || !state.focus.hideChrome) return;
+  if (e.key.length === 1 || e.key === 'Enter') {
+    setBodyFlag('chromeHidden', true);
+  }
+}
+
+function handleFocusMouseMove(e) {
+  if (document.body.dataset.chromeHidden === undefined) return;
+  if (Math.abs(e.movementX) + Math.abs(e.movementY) > 3) {
+    setBodyFlag('chromeHidden', false);
+  }
+}
+
+function renderFocusSettings() {
+  const container = document.createElement('div');
+
+  const enabled = createInput('checkbox', state.focusMode);
+  const scrolling = createInput('checkbox', state.focus.typewriterScrolling);
+  const dim = createSelect([
+    ['off', t('focus.dimOff')],
+    ['line', t('focus.dimLine')],
+    ['paragraph', t('focus.dimParagraph')]
+  ], state.focus.dim);
+  const hideChrome = createInput('checkbox', state.focus.hideChrome);
+
+  enabled.addEventListener('change', () => setFocusMode(enabled.checked));
+  [scrolling, dim, hideChrome].forEach(input => {
+    input.addEventListener('change', () => {
+      state.focus = {
+        typewriterScrolling: scrolling.checked,
+        dim: dim.value,
+        hideChrome: hideChrome.checked
+      };
+      applyFocusMode();
+      savePreferences();
+    });
+  });
+
+  container.append(
+    createDialogField(t('focus.mode'), enabled),
+    createDialogField(t('focus.scrolling'), scrolling),
+    createDialogField(t('focus.dim'), dim),
+    createDialogField(t('focus.hideChrome'), hideChrome)
+  );
+  return container;
+}
+
+// ===== CRT EFFECTS =====
+// Only shown for themes with the CRT flag. Scanlines, glow, colour fringes,
+// flicker and the rolling bar are CSS driven by --crt-* variables; the
+// barrel curvature is the #crt-warp SVG filter on the scanline overlay only,
+// never on the editor, so clicks and the caret land where the text is. Lite
+// mode keeps the static scanlines and vignette and skips the rest.
+const CRT_MAX_WARP = 0.12; // Displacement scale at full curvature, in screen widths/heights
+const CRT_WARP_MAP_SIZE = 256;
+
+// Effects with an intensity slider (labels are the 'crt.<key>' messages)
+const CRT_CONTROLS = ['scanlines', 'bloom', 'aberration', 'curvature', 'flicker', 'rollingBar'];
+
+let crtWarpMapReady = false;
+
+// Displacement map for a barrel distortion: every pixel samples from
+// p * (1 + r²), so the picture bulges and the corners bend away. R and G
+// hold the x and y offset around 0.5, the filter scales them.
+function createCrtWarpMap() {
+  const size = CRT_WARP_MAP_SIZE;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(size, size);
+
+  for (let y = 0; y < size; y++) {
+    const v = (y + 0.5) / size * 2 - 1;
+    for (let x = 0; x < size; x++) {
+      const u = (x + 0.5) / size * 2 - 1;
+      const r2 = u * u + v * v;
+      const i = (y * size + x) * 4;
+      image.data[i] = 128 + u * r2 * 63;
+      image.data[i + 1] = 128 + v * r2 * 63;
+      image.data[i + 2] = 128;
+      image.data[i + 3] = 255;
+    }
+  }
+
+  ctx.putImageData(image, 0, 0);
+  return canvas.toDataURL('image/png');
+}
+
+function applyCrtEffects() {
+  const { lite, curvature } = state.crt;
+  const style = document.body.style;
+
+  CRT_CONTROLS.forEach(key => {
+    style.setProperty(`--crt-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`, String(state.crt[key]));
+  });
+  setBodyFlag('crtLite', lite);
+
+  const warp = !lite && curvature > 0;
+  if (warp && !crtWarpMapReady) {
+    document.getElementById('crt-warp-map')?.setAttribute('href', createCrtWarpMap());
+    crtWarpMapReady = true;
+  }
+  document.getElementById('crt-warp-shift')?.setAttribute('scale', String(curvature * CRT_MAX_WARP));
+  setBodyFlag('crtWarp', warp);
+}
+
+function renderCrtSettings() {
+  const container = document.createElement('div');
+
+  const hint = document.createElement('p');
+  hint.textContent = t('crt.hint');
+  container.appendChild(hint);
+
+  CRT_CONTROLS.forEach(key => {
+    const input = createInput('range', state.crt[key], { min: 0, max: 1, step: 0.05 });
+    input.disabled = state.crt.lite && key !== 'scanlines';
+    input.addEventListener('input', () => {
+      state.crt[key] = Number(input.value);
+      applyCrtEffects();
+      savePreferences();
+    });
+    container.appendChild(createDialogField(t(`crt.${key}`), input));
+  });
+
+  const lite = createInput('checkbox', state.crt.lite);
+  lite.addEventListener('change', () => {
+    state.crt.lite = lite.checked;
+    container.querySelectorAll('input[type="range"]').forEach((input, i) => {
+      input.disabled = lite.checked && CRT_CONTROLS[i] !== 'scanlines';
+    });
+    applyCrtEffects();
+    savePreferences();
+  });
+  container.appendChild(createDialogField(t('crt.lite'), lite));
+
+  return container;
+}
+
+// ===== INK RIBBON =====
+// Uneven ink, a ribbon that wears out over a long document, and a red/black
+// ribbon switch. The editor approximates the look with the #ink-ribbon SVG
+// filter; drawRibbonText() renders it per character in exports.
+const RIBBON_MIN_STRENGTH = 0.55;
+const RIBBON_RED = '#A4262C';
+
+// Deterministic noise in [0, 1) for a character index
+function ribbonNoise(index, salt) {
+  let hash = Math.imul(index ^ 0x9E3779B9, 0x85EBCA6B) ^ Math.imul(salt, 0xC2B2AE35);
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x7FEB352D);
+  hash ^= hash >>> 15;
+  hash = Math.imul(hash, 0x846CA68B);
+  hash ^= hash >>> 16;
+  return (hash >>> 0) / 4294967296;
+}
+
+function getRibbonStrength(charIndex) {
+  const { fadeLength } = state.ribbon;
+  if (!fadeLength) return 1;
+  return 1 - (1 - RIBBON_MIN_STRENGTH) * Math.min(1, charIndex / fadeLength);
+}
+
+// Character offset of every line in the whole document, up to `lastLine` if given
+function getLineCharOffsets(lastLine) {
+  const offsets = new Map();
+  let index = 0;
+  for (const page of pages) {
+    for (const line of page.querySelectorAll('.line')) {
+      offsets.set(line, index);
+      if (line === lastLine) return offsets;
+      index += line.textContent.length;
+    }
+  }
+  return offsets;
+}
+
+function setLineInkStrength(line, strength) {
+  if (strength < 1) {
+    line.style.setProperty('--ink-strength', strength.toFixed(3));
+  } else {
+    line.style.removeProperty('--ink-strength');
+  }
+}
+
+// Fade the lines in the editor along the document, or just the given line
+function updateRibbonFade(line) {
+  if (line) {
+    setLineInkStrength(line, getRibbonStrength(getLineCharOffsets(line).get(line)));
+    return;
+  }
+
+  getLineCharOffsets().forEach((index, line) => {
+    setLineInkStrength(line, state.ribbon.enabled ? getRibbonStrength(index) : 1);
+  });
+}
+
+function applyRibbonSettings() {
+  const { enabled, variation } = state.ribbon;
+  if (enabled) {
+    document.body.dataset.ribbon = '';
+  } else {
+    delete document.body.dataset.ribbon;
+  }
+
+  document.getElementById('ink-ribbon-mask')?.setAttribute('k1', String(-variation * 0.6));
+  document.getElementById('ink-ribbon-shift')?.setAttribute('scale', String(variation * 2.5));
+  updateRibbonFade();
+}
+
+function setRibbonColor(color) {
+  state.ribbonColor = color;
+  document.body.dataset.ribbonColor = color;
+  savePreferences();
+}
+
+function createInkElement(ink, text) {
+  const span = document.createElement('span');
+  span.dataset.ink = ink;
+  span.textContent = text;
+  return span;
+}
+
+// Typed text normally joins the text at the caret. Inside a struck
+// character, or where the ribbon colour differs, it gets a node of its own
+// instead. Returns true when it inserted the text.
+function insertTypedText(text) {
+  const caret = getCaretInLine();
+  if (!caret || !text) return false;
+
+  const node = caret.range.startContainer;
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  const struck = element.closest('.struck');
+  let inked = element.closest('[data-ink]');
+  if (inked && !caret.line.contains(inked)) inked = null;
+
+  const currentInk = inked?.dataset.ink || 'black';
+  const inkDiffers = currentInk !== state.ribbonColor;
+  if (!struck && !inkDiffers) return false;
+
+  recordHistory('typing');
+  const typed = state.ribbonColor === 'black'
+    ? document.createTextNode(text)
+    : createInkElement(state.ribbonColor, text);
+
+  // Split the outermost span in the way at the caret, and type between the halves
+  const blockers = [struck, inkDiffers ? inked : null].filter(Boolean);
+  const blocker = blockers.find(candidate => blockers.every(other => candidate.contains(other)));
+
+  if (blocker) {
+    const tail = document.createRange();
+    tail.setStart(caret.range.startContainer, caret.range.startOffset);
+    tail.setEndAfter(blocker);
+    const rest = tail.extractContents();
+
+    blocker.after(typed);
+    if (rest.textContent) typed.after(rest);
+    if (!blocker.textContent) blocker.remove();
+  } else {
+    caret.range.insertNode(typed);
+  }
+
+  const textNode = typed.nodeType === Node.TEXT_NODE ? typed : typed.firstChild;
+  const range = document.createRange();
+  range.setStart(textNode, textNode.length);
+  range.collapse(true);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+  return true;
+}
+
+function renderRibbonSettings() {
+  const container = document.createElement('div');
+
+  const enabled = createInput('checkbox', state.ribbon.enabled);
+  const variation = createInput('range', state.ribbon.variation, { min: 0, max: 1, step: 0.05 });
+  const fadeLength = createSelect([
+    ['0', t('ribbon.fadeNever')],
+    ...[20000, 60000, 150000].map(count => [String(count), t('ribbon.fadeAfter', { count })])
+  ], String(state.ribbon.fadeLength));
+  const color = createSelect([
+    ['black', t('ribbon.black')],
+    ['red', t('ribbon.red')]
+  ], state.ribbonColor);
+
+  function update() {
+    state.ribbon = {
+      enabled: enabled.checked,
+      variation: Number(variation.value),
+      fadeLength: Number(fadeLength.value)
+    };
+    applyRibbonSettings();
+    savePreferences();
+  }
+
+  enabled.addEventListener('change', update);
+  variation.addEventListener('input', update);
+  fadeLength.addEventListener('change', update);
+  color.addEventListener('change', () => setRibbonColor(color.value));
+
+  const hint = document.createElement('p');
+  hint.textContent = t('ribbon.hint');
+
+  container.append(
+    hint,
+    createDialogField(t('ribbon.enabled'), enabled),
+    createDialogField(t('ribbon.variation'), variation),
+    createDialogField(t('ribbon.fade'), fadeLength),
+    createDialogField(t('ribbon.color'), color)
+  );
+  return container;
+}
+
+// ===== MARGIN BELL =====
+// Like on a real typewriter, a bell rings a few characters before the right
+// margin. With the hard margin on, the keys lock there until Enter is pressed.
+let marginBellLine = null; // Line the bell has already rung for
+let measureContext = null;
+
+// Caret column in characters. In 'font' mode the text up to the caret is
+// measured run by run (fontMap) and counted in widths of the line font's '0'.
+function getCaretColumn(line, offset) {
+  if (state.marginBell.measure !== 'font') return offset;
+
+  measureContext ??= document.createElement('canvas').getContext('2d');
+  let remaining = offset;
+  let width = 0;
+
+  for (const run of getLineRuns(line)) {
+    if (remaining <= 0) break;
+    measureContext.font = getCanvasFont(getFontInfo(run.font));
+    width += measureContext.measureText(run.text.slice(0, remaining)).width;
+    remaining -= run.text.length;
+  }
+
+  measureContext.font = getCanvasFont(getFontInfo(line.dataset.font || state.font));
+  return width / measureContext.measureText('0').width;
+}
+
+// Called before a character is typed. Rings the bell when the new character
+// reaches the warning point; returns false when the hard margin blocks it.
+function checkMarginBell() {
+  const settings = state.marginBell;
+  if (!settings.enabled) return true;
+
+  const selection = window.getSelection();
+  if (!selection.rangeCount) return true;
+
+  const range = selection.getRangeAt(0);
+  const node = range.startContainer;
+  const line = (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement)?.closest('.line');
+  if (!line || !range.collapsed) return true;
+
+  const before = document.createRange();
+  before.selectNodeContents(line);
+  before.setEnd(range.startContainer, range.startOffset);
+  const column = getCaretColumn(line, before.toString().length);
+
+  if (settings.hardStop && column >= settings.lineWidth) {
+    playLockedKey();
+    return false;
+  }
+
+  const warningColumn = settings.lineWidth - settings.warning;
+  if (column + 1 >= warningColumn && marginBellLine !== line) {
+    marginBellLine = line;
+    state.sound.playBell();
+  } else if (column + 1 < warningColumn && marginBellLine === line) {
+    // Caret went back on the line: ring again next time
+    marginBellLine = null;
+  }
+
+  return true;
+}
+
+// Called before text is pasted. The hard margin applies to every pasted line;
+// pasted characters count as one column each, whatever the measure.
+function checkHardMarginForText(text) {
+  const settings = state.marginBell;
+  if (!settings.enabled || !settings.hardStop) return true;
+
+  const caret = getCaretInLine();
+  const column = caret ? getCaretColumn(caret.line, caret.offset) : 0;
+  const fits = text.split(/\r?\n/).every((part, i) =>
+    (i === 0 ? column : 0) + part.length <= settings.lineWidth);
+
+  if (!fits) playLockedKey();
+  return fits;
+}
+
+// Locked type bar: a dull knock instead of a letter
+function playLockedKey() {
+  state.sound.playSample('key', { rate: 0.6, gain: 0.4 });
+}
+
+function renderMarginBellSettings() {
+  const container = document.createElement('div');
+  const settings = state.marginBell;
+
+  const enabled = createInput('checkbox', settings.enabled);
+  const measure = createSelect([
+    ['chars', t('bell.measureChars')],
+    ['font', t('bell.measureFont')]
+  ], settings.measure);
+  const lineWidth = createInput('number', settings.lineWidth, { min: 20, max: 200, step: 1 });
+  const warning = createInput('number', settings.warning, { min: 1, max: 30, step: 1 });
+  const hardStop = createInput('checkbox', settings.hardStop);
+
+  function update() {
+    state.marginBell = {
+      enabled: enabled.checked,
+      measure: measure.value,
+      lineWidth: clampNumber(lineWidth.value, 20, 200, DEFAULT_MARGIN_BELL.lineWidth),
+      warning: clampNumber(warning.value, 1, 30, DEFAULT_MARGIN_BELL.warning),
+      hardStop: hardStop.checked
+    };
+    savePreferences();
+  }
+
+  [enabled, measure, lineWidth, warning, hardStop].forEach(input => {
+    input.addEventListener('change', update);
+  });
+
+  const hint = document.createElement('p');
+  hint.textContent = t('bell.hint');
+
+  container.append(
+    hint,
+    createDialogField(t('bell.enabled'), enabled),
+    createDialogField(t('bell.measure'), measure),
+    createDialogField(t('bell.lineWidth'), lineWidth),
+    createDialogField(t('bell.warning'), warning),
+    createDialogField(t('bell.hardStop'), hardStop)
+  );
+  return container;
+}
+
+// ===== AUDIO EFFECTS =====
+// Sliders for the vintage chain of TypewriterSound, applied live
+const AUDIO_EFFECT_CONTROLS = [
+  { key: 'crackle', min: 0, max: 0.4, step: 0.01 },
+  { key: 'noiseLowpass', min: 500, max: 10000, step: 100 },
+  { key: 'noiseHighpass', min: 20, max: 2000, step: 10 },
+  { key: 'reverbDuration', min: 0.1, max: 3, step: 0.1 },
+  { key: 'reverbDecay', min: 0.2, max: 6, step: 0.1 },
+  { key: 'wet', min: 0, max: 0.6, step: 0.01 },
+  { key: 'dry', min: 0, max: 1, step: 0.01 },
+  { key: 'lofi', min: 1000, max: 20000, step: 100 }
+];
+
+function setAudioEffects(effects) {
+  state.audioEffects = { ...DEFAULT_AUDIO_EFFECTS, ...effects };
+  state.sound.applyEffects(state.audioEffects);
+  savePreferences();
+}
+
+// Key of the preset matching the current values, or '' for custom settings
+function findAudioEffectPreset(effects) {
+  return Object.keys(AUDIO_EFFECT_PRESETS).find(key => {
+    const values = AUDIO_EFFECT_PRESETS[key].values;
+    return Object.keys(DEFAULT_AUDIO_EFFECTS).every(name => values[name] === effects[name]);
+  }) || '';
+}
+
+function renderAudioEffectSettings() {
+  const container = document.createElement('div');
+  const sliders = {};
+
+  const presetSelect = createSelect([
+    ...Object.keys(AUDIO_EFFECT_PRESETS).map(key => [key, t(`effects.preset.${key}`)]),
+    ['', t('effects.custom')]
+  ], findAudioEffectPreset(state.audioEffects));
+
+  presetSelect.addEventListener('change', () => {
+    if (!presetSelect.value) return;
+    setAudioEffects(AUDIO_EFFECT_PRESETS[presetSelect.value].values);
+    AUDIO_EFFECT_CONTROLS.forEach(({ key }) => {
+      sliders[key].value = state.audioEffects[key];
+    });
+  });
+
+  container.appendChild(createDialogField(t('effects.preset'), presetSelect));
+
+  AUDIO_EFFECT_CONTROLS.forEach(({ key, min, max, step }) => {
+    const slider = createInput('range', state.audioEffects[key], { min, max, step });
+    slider.addEventListener('input', () => {
+      setAudioEffects({ ...state.audioEffects, [key]: Number(slider.value) });
+      presetSelect.value = findAudioEffectPreset(state.audioEffects);
+    });
+    sliders[key] = slider;
+    container.appendChild(createDialogField(t(`effects.${key}`), slider));
+  });
+
+  return container;
+}
+
+// ===== AMBIENCE =====
+function applyAmbience() {
+  Object.entries(state.ambience).forEach(([id, layer]) => {
+    state.sound.setAmbientLayer(id, layer.enabled ? layer.volume : 0);
+  });
+}
+
+function setAmbientLayer(id, changes) {
+  state.ambience[id] = { ...state.ambience[id], ...changes };
+  applyAmbience();
+  savePreferences();
+}
+
+function renderAmbienceSettings() {
+  const container = document.createElement('div');
+
+  const hint = document.createElement('p');
+  hint.textContent = t('ambience.hint');
+  container.appendChild(hint);
+
+  AMBIENT_LAYERS.forEach(id => {
+    const layer = state.ambience[id];
+    const enabled = createInput('checkbox', layer.enabled);
+    const volume = createInput('range', layer.volume, { min: 0, max: 1, step: 0.05 });
+
+    enabled.addEventListener('change', () => setAmbientLayer(id, { enabled: enabled.checked }));
+    volume.addEventListener('input', () => setAmbientLayer(id, { volume: Number(volume.value) }));
+
+    const controls = document.createElement('span');
+    controls.className = 'ambience-controls';
+    controls.append(enabled, volume);
+    container.appendChild(createDialogField(t(`ambience.${id}`), controls));
+  });
+
+  return container;
+}
+
+// ===== SOUND PACKS =====
+// A pack is a manifest (see assets/sounds/packs/*.json) that lists samples
+// per category, plus optional tuning. The app ships one recorded machine
+// (Classic); other machines come in as imported packs, which are copied into
+// the app data folder. Without bell samples the bell is synthesized, and
+// without feed samples the paper feed is silent.
+const BUNDLED_SOUND_PACKS = ['classic'];
+const SOUND_PACK_DIR = 'soundpacks';
+const SOUND_PACK_IMPORT = '__import__';
+const AUDIO_EXTENSIONS = ['wav', 'ogg', 'mp3'];
+
+const soundPacks = {}; // id -> { name, manifest, loadFile(path) }
+
+async function registerBundledSoundPacks() {
+  for (const id of BUNDLED_SOUND_PACKS) {
+    const manifestUrl = new URL(`/assets/sounds/packs/${id}.json`, window.location.href);
+    try {
+      const manifest = await (await fetch(manifestUrl)).json();
+      soundPacks[id] = {
+        name: manifest.name,
+        manifest,
+        loadFile: async (path) => (await fetch(new URL(path, manifestUrl))).arrayBuffer()
+      };
+    } catch (e) {
+      console.error(`Failed to load sound pack ${id}:`, e);
+    }
+  }
+}
+
+function registerImportedSoundPack(id, manifest) {
+  const { readFile, BaseDirectory } = window.__TAURI__.fs;
+  const dir = `${SOUND_PACK_DIR}/${id}`;
+
+  soundPacks[id] = {
+    name: manifest.name,
+    manifest,
+    loadFile: async (path) => (await readFile(`${dir}/${path}`, { baseDir: BaseDirectory.AppData })).slice().buffer
+  };
+}
+
+async function registerImportedSoundPacks() {
+  if (!window.__TAURI__) return;
+
+  const { readDir, readTextFile, exists, BaseDirectory } = window.__TAURI__.fs;
+  const baseDir = BaseDirectory.AppData;
+
+  try {
+    if (!await exists(SOUND_PACK_DIR, { baseDir })) return;
+
+    for (const entry of await readDir(SOUND_PACK_DIR, { baseDir })) {
+      if (!entry.isDirectory) continue;
+      try {
+        const manifest = JSON.parse(await readTextFile(`${SOUND_PACK_DIR}/${entry.name}/manifest.json`, { baseDir }));
+        registerImportedSoundPack(entry.name, manifest);
+      } catch (e) {
+        console.warn(`Sound pack ${entry.name} is not readable:`, e);
+      }
+    }
+  } catch (e) {
+    console.error('Could not read the imported sound packs:', e);
+  }
+}
+
+// Guess the category of a sample from its file name
+function classifySample(fileName) {
+  const name = fileName.toLowerCase();
+  if (/bell|ding/.test(name)) return 'bell';
+  if (/feed|paper|platen/.test(name)) return 'feed';
+  if (/return|carriage/.test(name)) return 'return';
+  if (/backspace|delete/.test(name)) return 'backspace';
+  if (/space/.test(name)) return 'space';
+  return 'key';
+}
+
+// Import a folder of WAV/OGG files (with or without a manifest.json).
+// Resolves with the new pack id, or null.
+async function importSoundPack() {
+  // The option is only offered in the desktop app (see populateSoundPackSelect())
+  if (!window.__TAURI__) return null;
+
+  const { readDir, readFile, readTextFile, writeFile, writeTextFile, mkdir, BaseDirectory } = window.__TAURI__.fs;
+  const baseDir = BaseDirectory.AppData;
+
+  try {
+    const folder = await window.__TAURI__.dialog.open({
+      directory: true,
+      recursive: true,
+      title: t('soundPack.chooseFolder')
+    });
+    if (!folder) return null;
+
+    const fileNames = (await readDir(folder)).filter(entry => entry.isFile).map(entry => entry.name);
+    let source;
+
+    if (fileNames.includes('manifest.json')) {
+      source = JSON.parse(await readTextFile(`${folder}/manifest.json`));
+    } else {
+      source = { name: folder.split(/[\\/]/).pop(), samples: createEmptySampleSet() };
+      fileNames
+        .filter(name => AUDIO_EXTENSIONS.includes(name.toLowerCase().split('.').pop()))
+        .sort()
+        .forEach(name => source.samples[classifySample(name)].push(name));
+    }
+
+    const id = `user-${Date.now()}`;
+    const targetDir = `${SOUND_PACK_DIR}/${id}`;
+    const manifest = {
+      format: 'typewriter-sound-pack',
+      version: 1,
+      id,
+      name: source.name || id,
+      samples: createEmptySampleSet(),
+      tuning: source.tuning
+    };
+
+    await mkdir(targetDir, { baseDir, recursive: true });
+
+    // Copy the samples, flattening sub folders into the file name
+    for (const category of SOUND_SAMPLE_CATEGORIES) {
+      for (const path of source.samples?.[category] || []) {
+        const fileName = path.replace(/[\\/]/g, '_');
+        try {
+          await writeFile(`${targetDir}/${fileName}`, await readFile(`${folder}/${path}`), { baseDir });
+          manifest.samples[category].push(fileName);
+        } catch (e) {
+          console.warn(`Skipped sample ${path}:`, e);
+        }
+      }
+    }
+
+    if (manifest.samples.key.length === 0) {
+      await showDialog({
+        title: t('soundPack.importTitle'),
+        body: t('soundPack.noSounds'),
+        buttons: [{ label: t('common.ok'), value: null, primary: true }]
+      });
+      return null;
+    }
+
+    await writeTextFile(`${targetDir}/manifest.json`, JSON.stringify(manifest, null, 2), { baseDir });
+    registerImportedSoundPack(id, manifest);
+    return id;
+  } catch (e) {
+    console.error('Sound pack import failed:', e);
+    await showErrorDialog(t('soundPack.importTitle'), t('soundPack.importFailed'), e);
+    return null;
+  }
+}
+
+function populateSoundPackSelect() {
+  soundPackSelect.innerHTML = '';
+  Object.entries(soundPacks).forEach(([id, pack]) => {
+    soundPackSelect.appendChild(new Option(pack.name, id));
+  });
+  // Importing copies files into the app data folder, which needs the desktop app
+  if (window.__TAURI__) {
+    soundPackSelect.appendChild(new Option(t('soundPack.import'), SOUND_PACK_IMPORT));
+  }
+  soundPackSelect.value = state.soundPack;
+}
+
+async function setSoundPack(id) {
+  const pack = soundPacks[id] || soundPacks.classic;
+  if (!pack || !state.sound.audioContext) return;
+
+  state.soundPack = soundPacks[id] ? id : 'classic';
+  soundPackSelect.value = state.soundPack;
+  savePreferences();
+
+  await state.sound.loadPack(pack.manifest, pack.loadFile);
+}
+
+async function initSoundPacks() {
+  await registerBundledSoundPacks();
+  await registerImportedSoundPacks();
+  populateSoundPackSelect();
+  await setSoundPack(state.soundPack);
+}
+
+// ===== KEYBOARD SHORTCUTS =====
+// Central dispatcher. "Mod" is Ctrl (Cmd on macOS). Every shortcut needs Mod
+// or Alt (or is a function key), so plain Enter/Backspace stay with
+// handleKeyDown().
+const KEYMAP_STORAGE_KEY = 'typewriter-keymap';
+
+const shortcutActions = {
+  save: { run: () => saveDocument() },
+  saveAs: { run: () => saveDocument({ saveAs: true }) },
+  open: { run: openDocument },
+  exportPng: { run: savePNG },
+  exportPdf: { run: savePDF },
+  undo: { run: undo },
+  redo: { run: redo },
+  prevPage: { run: () => navigateToPage(currentPageIndex - 1) },
+  nextPage: { run: () => navigateToPage(currentPageIndex + 1) },
+  nextFont: { run: () => cycleSelect(fontSelect) },
+  nextTheme: { run: () => cycleSelect(themeSelect) },
+  toggleSound: { run: () => soundToggle.click() },
+  overstrike: { run: overstrike },
+  toggleFocusMode: { run: () => setFocusMode(!state.focusMode) },
+  toggleRibbonColor: { run: () => setRibbonColor(state.ribbonColor === 'red' ? 'black' : 'red') },
+  toggleStrictMode: { run: () => setStrictMode(!state.strictMode) },
+  settings: { run: openSettings }
+};
+
+const DEFAULT_KEYMAP = {
+  save: 'Mod+S',
+  saveAs: 'Mod+Shift+S',
+  open: 'Mod+O',
+  exportPng: 'Mod+Shift+E',
+  exportPdf: 'Mod+Shift+P',
+  undo: 'Mod+Z',
+  redo: 'Mod+Shift+Z',
+  prevPage: 'Mod+PageUp',
+  nextPage: 'Mod+PageDown',
+  nextFont: 'Mod+Shift+F',
+  nextTheme: 'Mod+Shift+T',
+  toggleSound: 'Mod+Shift+M',
+  overstrike: 'Mod+Shift+X',
+  toggleFocusMode: 'Mod+Shift+D',
+  toggleRibbonColor: 'Mod+Shift+R',
+  toggleStrictMode: 'Mod+Shift+Y',
+  settings: 'Mod+,'
+};
+
+const isMac = navigator.platform.toUpperCase().includes('MAC');
+
+// Normalize a keydown event to a combo string like "Mod+Shift+E"
+function getKeyCombo(e) {
+  if (['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'].includes(e.key)) return null;
+
+  // Match the character on the key, so shortcuts follow the keyboard layout
+  // (Ctrl+Z is the key labelled Z on QWERTZ and AZERTY too). Only when Alt
+  // or Shift turns it into another character (Alt+letter on macOS, Shift+digit)
+  // fall back to the physical key.
+  let key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+  const changed = key === 'Dead' || (key.length === 1 && !/^[A-Z0-9]$/.test(key));
+  if ((e.altKey || e.shiftKey) && changed) {
+    if (e.code.startsWith('Key')) key = e.code.slice(3);
+    else if (e.code.startsWith('Digit')) key = e.code.slice(5);
+  }
+
+  const parts = [];
+  if (e.ctrlKey || e.metaKey) parts.push('Mod');
+  if (e.altKey) parts.push('Alt');
+  if (e.shiftKey) parts.push('Shift');
+  parts.push(key);
+  return parts.join('+');
+}
+
+// Shortcuts must not take over keys the editor handles itself
+function isValidShortcut(combo) {
+  const parts = combo.split('+');
+  const key = parts[parts.length - 1];
+  return parts.includes('Mod') || parts.includes('Alt') || /^F\d{1,2}$/.test(key);
+}
+
+function formatKeyCombo(combo) {
+  if (!combo) return '—';
+  return combo
+    .replace('Mod', isMac ? '⌘' : t('keymap.mod'))
+    .replace('Alt', isMac ? '⌥' : 'Alt')
+    .replace('Shift', isMac ? '⇧' : t('keymap.shift'));
+}
+
+function handleShortcut(e) {
+  // Dialogs handle their own keys
+  if (document.querySelector('.dialog-overlay')) return;
+
+  const combo = getKeyCombo(e);
+  if (!combo) return;
+
+  const action = Object.keys(state.keymap).find(name => state.keymap[name] === combo);
+  if (!action || !shortcutActions[action]) return;
+
+  e.preventDefault();
+  e.stopPropagation();
+  shortcutActions[action].run();
+}
+
+// Select the next option of a control-bar select and apply it
+function cycleSelect(select) {
+  select.selectedIndex = (select.selectedIndex + 1) % select.options.length;
+  select.dispatchEvent(new Event('change'));
+}
+
+function saveKeymap() {
+  localStorage.setItem(KEYMAP_STORAGE_KEY, JSON.stringify(state.keymap));
+}
+
+function loadKeymap() {
+  state.keymap = { ...DEFAULT_KEYMAP };
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEYMAP_STORAGE_KEY) || '{}');
+    Object.entries(saved).forEach(([action, combo]) => {
+      if (shortcutActions[action] && (combo === null || isValidShortcut(combo))) {
+        state.keymap[action] = combo;
+      }
+    });
+  } catch (e) {
+    console.warn('Could not load keymap:', e);
+  }
+}
+
+// Bind a combo to an action; an action that had it before loses it
+function setShortcut(action, combo) {
+  Object.keys(state.keymap).forEach(name => {
+    if (state.keymap[name] === combo) state.keymap[name] = null;
+  });
+  state.keymap[action] = combo;
+  saveKeymap();
+}
+
+function renderKeymapSettings() {
+  const container = document.createElement('div');
+
+  const table = document.createElement('div');
+  table.className = 'keymap-table';
+  let stopRecording = null;
+
+  function renderRows() {
+    table.innerHTML = '';
+    Object.keys(shortcutActions).forEach(action => {
+      const button = document.createElement('button');
+      button.className = 'text-btn keymap-key';
+      button.textContent = formatKeyCombo(state.keymap[action]);
+      button.addEventListener('click', () => recordShortcut(action, button));
+      table.appendChild(createDialogField(t(`shortcut.${action}`), button));
+    });
+  }
+
+  // Wait for the next key combination. Listening on window in the capture
+  // phase runs before the dialog's own Escape handling.
+  function recordShortcut(action, button) {
+    stopRecording?.();
+    button.textContent = t('keymap.pressKey');
+    button.classList.add('recording');
+
+    function onKeyDown(e) {
+      // Dialog was closed while waiting
+      if (!button.isConnected) {
+        stopRecording();
+        return;
+      }
+
+      const combo = getKeyCombo(e);
+      if (!combo) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      stopRecording();
+
+      if (combo === 'Escape') {
+        // Cancel recording
+      } else if (combo === 'Backspace' || combo === 'Delete') {
+        setShortcut(action, null);
+      } else if (isValidShortcut(combo)) {
+        setShortcut(action, combo);
+      }
+      renderRows();
+    }
+
+    window.addEventListener('keydown', onKeyDown, true);
+    stopRecording = () => {
+      window.removeEventListener('keydown', onKeyDown, true);
+      stopRecording = null;
+    };
+  }
+
+  const hint = document.createElement('p');
+  hint.textContent = t('keymap.hint');
+
+  const resetButton = document.createElement('button');
+  resetButton.className = 'text-btn';
+  resetButton.textContent = t('keymap.reset');
+  resetButton.addEventListener('click', () => {
+    state.keymap = { ...DEFAULT_KEYMAP };
+    saveKeymap();
+    renderRows();
+  });
+
+  renderRows();
+  container.append(hint, table, resetButton);
+  return container;
+}
+
+// ===== SETTINGS =====
+// Settings dialog with one tab per section; changes apply immediately.
+// Tab titles are the 'settings.<id>' messages.
+const settingsSections = [
+  { id: 'shortcuts', render: renderKeymapSettings },
+  { id: 'writingMode', render: renderStrictModeSettings },
+  { id: 'themes', render: renderThemeSettings },
+  { id: 'crt', render: renderCrtSettings },
+  { id: 'stats', render: renderStatsSettings },
+  { id: 'focus', render: renderFocusSettings },
+  { id: 'ribbon', render: renderRibbonSettings },
+  { id: 'marginBell', render: renderMarginBellSettings },
+  { id: 'sound', render: renderAudioEffectSettings },
+  { id: 'ambience', render: renderAmbienceSettings },
+  { id: 'snapshots', render: renderSnapshotSettings }
+];
+
+// Opens on the section with the given id, or the first one
+function openSettings(sectionId) {
+  return showDialog({
+    title: t('settings.title'),
+    className: 'settings-dialog',
+    body: () => {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'settings';
+
+      const tabs = document.createElement('nav');
+      tabs.className = 'settings-tabs';
+
+      const panel = document.createElement('div');
+      panel.className = 'settings-panel';
+
+      function showSection(index) {
+        tabs.querySelectorAll('button').forEach((tab, i) => tab.classList.toggle('active', i === index));
+        panel.innerHTML = '';
+        panel.appendChild(settingsSections[index].render());
+      }
+
+      settingsSections.forEach((section, index) => {
+        const tab = document.createElement('button');
+        tab.textContent = t(`settings.${section.id}`);
+        tab.addEventListener('click', () => showSection(index));
+        tabs.appendChild(tab);
+      });
+
+      wrapper.append(tabs, panel);
+      showSection(Math.max(0, settingsSections.findIndex(section => section.id === sectionId)));
+      return wrapper;
+    },
+    buttons: [
+      { label: t('common.close'), value: null, primary: true }
+    ]
+  });
+}
+
+// ===== THEMES =====
+// Built-in themes are defined here only; their CSS is generated like that of
+// custom themes, which are kept in localStorage. Both are injected as one
+// <style> element. Built-in names are 'theme.<id>' messages.
+const THEME_FORMAT = 'typewriter-theme';
+const THEMES_STORAGE_KEY = 'typewriter-themes';
+
+// CSS variables (without --) a theme sets; labels are the 'theme.color.<name>' messages
+const THEME_COLORS = [
+  'bg-primary', 'bg-secondary', 'bg-paper', 'text-primary',
+  'text-secondary', 'accent', 'control-bg', 'control-text'
+];
+const THEME_CONTROL_ALPHA = 0.95; // The bars let the page show through slightly
+
+const BUILTIN_THEMES = {
+  'vintage-brown': {
+    crt: false,
+    colors: {
+      'bg-primary': '#3C2415', 'bg-secondary': '#2C1810', 'bg-paper': '#F4E4BC', 'text-primary': '#2C1810',
+      'text-secondary': '#5C4030', accent: '#8B7355', 'control-bg': '#2C1810', 'control-text': '#F4E4BC'
+    }
+  },
+  'retro-orange': {
+    crt: false,
+    colors: {
+      'bg-primary': '#0D0A07', 'bg-secondary': '#000000', 'bg-paper': '#0D0A07', 'text-primary': '#D4842A',
+      'text-secondary': '#8B5A1A', accent: '#C47A20', 'control-bg': '#050300', 'control-text': '#D4842A'
+    }
+  },
+  'terminal-green': {
+    crt: true,
+    colors: {
+      'bg-primary': '#0A0A0A', 'bg-secondary': '#050505', 'bg-paper': '#0A0A0A', 'text-primary': '#33FF33',
+      'text-secondary': '#00AA00', accent: '#00FF00', 'control-bg': '#050505', 'control-text': '#33FF33'
+    }
+  }
+};
+
+let customThemes = []; // [{ id, name, crt, colors }]
+
+function getTheme(id) {
+  if (BUILTIN_THEMES[id]) return { id, name: t(`theme.${id}`), ...BUILTIN_THEMES[id] };
+  return customThemes.find(theme => theme.id === id) || getTheme('vintage-brown');
+}
+
+// Check a theme read from JSON. Invalid colours fall back to Vintage Brown.
+function normalizeTheme(data, id) {
+  if (!data || typeof data !== 'object' || !data.colors || typeof data.colors !== 'object') {
+    throw new Error(t('theme.invalid'));
+  }
+
+  const fallback = BUILTIN_THEMES['vintage-brown'].colors;
+  const colors = {};
+  THEME_COLORS.forEach(key => {
+    const value = data.colors[key];
+    colors[key] = /^#[0-9a-f]{6}$/i.test(value) ? value : fallback[key];
+  });
+
+  return { id, name: String(data.name || t('theme.custom')), crt: !!data.crt, colors };
+}
+
+function loadCustomThemes() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(THEMES_STORAGE_KEY) || '[]');
+    customThemes = saved
+      .filter(theme => /^custom-\d+$/.test(theme.id))
+      .map(theme => normalizeTheme(theme, theme.id));
+  } catch (e) {
+    console.warn('Could not load themes:', e);
+  }
+  injectThemes();
+}
+
+// Store, and re-inject the CSS so open windows follow edits live
+function saveCustomThemes() {
+  localStorage.setItem(THEMES_STORAGE_KEY, JSON.stringify(customThemes));
+  injectThemes();
+}
+
+// '#rrggbb' with an alpha, as rgba()
+function hexToRgba(hex, alpha) {
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+function injectThemes() {
+  let style = document.getElementById('themes');
+  if (!style) {
+    style = document.createElement('style');
+    style.id = 'themes';
+    document.head.appendChild(style);
+  }
+
+  const themes = [...Object.keys(BUILTIN_THEMES).map(getTheme), ...customThemes];
+  style.textContent = themes.map(theme => {
+    const variables = Object.entries(theme.colors).map(([key, value]) => {
+      return `  --${key}: ${key === 'control-bg' ? hexToRgba(value, THEME_CONTROL_ALPHA) : value};`;
+    });
+    return [
+      `[data-theme="${theme.id}"] {`,
+      ...variables,
+      `  --crt-enabled: ${theme.crt ? 1 : 0};`,
+      '}',
+      `[data-theme="${theme.id}"] .crt-overlay { opacity: 1; }`
+    ].join('\n');
+  }).join('\n\n');
+}
+
+function populateThemeSelect() {
+  themeSelect.innerHTML = '';
+  Object.keys(BUILTIN_THEMES).forEach(id => {
+    themeSelect.appendChild(new Option(t(`theme.${id}`), id));
+  });
+  customThemes.forEach(theme => {
+    themeSelect.appendChild(new Option(theme.name, theme.id));
+  });
+  themeSelect.value = state.theme;
+}
+
+function createCustomTheme(base, name) {
+  const theme = {
+    id: `custom-${Date.now()}`,
+    name,
+    crt: base.crt,
+    colors: { ...base.colors }
+  };
+  customThemes.push(theme);
+  saveCustomThemes();
+  populateThemeSelect();
+  return theme;
+}
+
+function deleteCustomTheme(id) {
+  customThemes = customThemes.filter(theme => theme.id !== id);
+  saveCustomThemes();
+  if (state.theme === id) {
+    setTheme('vintage-brown');
+  }
+  populateThemeSelect();
+}
+
+async function exportTheme(theme) {
+  const json = JSON.stringify({
+    format: THEME_FORMAT,
+    version: 1,
+    name: theme.name,
+    crt: theme.crt,
+    colors: theme.colors
+  }, null, 2);
+  const fileName = `${theme.name.replace(/[^\w\-]+/g, '-').toLowerCase() || 'theme'}.json`;
+
+  try {
+    const filePath = await window.__TAURI__.dialog.save({
+      defaultPath: fileName,
+      filters: [{ name: 'Theme', extensions: ['json'] }]
+    });
+
+    if (filePath) {
+      await window.__TAURI__.fs.writeTextFile(filePath, json);
+      console.log('Saved:', filePath);
+    }
+  } catch (e) {
+    console.error('Theme export failed:', e);
+    downloadBlob(new Blob([json], { type: 'application/json' }), fileName);
+  }
+}
+
+// Resolves with the imported theme, or null
+async function importTheme() {
+  try {
+    let file;
+
+    if (window.__TAURI__) {
+      const filePath = await window.__TAURI__.dialog.open({
+        multiple: false,
+        filters: [{ name: 'Theme', extensions: ['json'] }]
+      });
+      if (!filePath) return null;
+
+      file = { name: filePath, text: await window.__TAURI__.fs.readTextFile(filePath) };
+    } else {
+      file = await pickTextFileInBrowser('.json');
+      if (!file) return null;
+    }
+
+    const data = JSON.parse(file.text);
+    if (data.format !== THEME_FORMAT) {
+      throw new Error(t('theme.invalid'));
+    }
+
+    const theme = normalizeTheme(data, `custom-${Date.now()}`);
+    customThemes.push(theme);
+    saveCustomThemes();
+    populateThemeSelect();
+    return theme;
+  } catch (e) {
+    console.error('Theme import failed:', e);
+    await showDialog({
+      title: t('theme.importTitle'),
+      body: t('theme.invalid'),
+      buttons: [{ label: t('common.ok'), value: null, primary: true }]
+    });
+    return null;
+  }
+}
+
+function renderThemeSettings() {
+  const container = document.createElement('div');
+  let selectedId = state.theme;
+
+  const picker = document.createElement('select');
+  const actions = document.createElement('div');
+  actions.className = 'theme-actions';
+  const fields = document.createElement('div');
+
+  function addAction(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'text-btn';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    actions.appendChild(button);
+    return button;
+  }
+
+  function select(id) {
+    selectedId = id;
+    picker.innerHTML = '';
+    Object.keys(BUILTIN_THEMES).forEach(themeId => {
+      picker.appendChild(new Option(t(`theme.${themeId}`), themeId));
+    });
+    customThemes.forEach(theme => picker.appendChild(new Option(theme.name, theme.id)));
+    picker.value = selectedId;
+
+    const isCustom = customThemes.some(theme => theme.id === selectedId);
+    deleteButton.disabled = !isCustom;
+    exportButton.disabled = !isCustom;
+    renderFields();
+  }
+
+  function renderFields() {
+    fields.innerHTML = '';
+    const theme = customThemes.find(candidate => candidate.id === selectedId);
+
+    if (!theme) {
+      const hint = document.createElement('p');
+      hint.textContent = t('theme.builtinHint');
+      fields.appendChild(hint);
+      return;
+    }
+
+    const name = createInput('text', theme.name);
+    name.addEventListener('change', () => {
+      theme.name = name.value.trim() || t('theme.custom');
+      saveCustomThemes();
+      populateThemeSelect();
+      select(theme.id);
+    });
+    fields.appendChild(createDialogField(t('theme.name'), name));
+
+    THEME_COLORS.forEach(key => {
+      const input = createInput('color', theme.colors[key]);
+      input.addEventListener('input', () => {
+        theme.colors[key] = input.value;
+        saveCustomThemes();
+      });
+      fields.appendChild(createDialogField(t(`theme.color.${key}`), input));
+    });
+
+    const crt = createInput('checkbox', theme.crt);
+    crt.addEventListener('change', () => {
+      theme.crt = crt.checked;
+      saveCustomThemes();
+      if (state.theme === theme.id) applyTheme(theme.id);
+    });
+    fields.appendChild(createDialogField(t('theme.crt'), crt));
+  }
+
+  picker.addEventListener('change', () => select(picker.value));
+
+  addAction(t('theme.use'), () => setTheme(selectedId));
+  addAction(t('theme.new'), () => select(createCustomTheme(BUILTIN_THEMES['vintage-brown'], t('theme.custom')).id));
+  addAction(t('theme.duplicate'), () => {
+    const base = getTheme(selectedId);
+    select(createCustomTheme(base, t('theme.copy', { name: base.name })).id);
+  });
+  const deleteButton = addAction(t('theme.delete'), () => {
+    deleteCustomTheme(selectedId);
+    select(state.theme);
+  });
+  addAction(t('theme.import'), async () => {
+    const theme = await importTheme();
+    if (theme) select(theme.id);
+  });
+  const exportButton = addAction(t('theme.export'), () => exportTheme(getTheme(selectedId)));
+
+  container.append(createDialogField(t('theme.theme'), picker), actions, fields);
+  select(selectedId);
+  return container;
+}
+
+// ===== THEME & FONT =====
+function applyTheme(id) {
+  const theme = getTheme(id);
+  state.theme = theme.id;
+  themeSelect.value = theme.id;
+  document.body.dataset.theme = theme.id;
+  setBodyFlag('crt', theme.crt);
+}
+
+function setTheme(theme) {
+  applyTheme(theme);
+  savePreferences();
+}
+
+function setFont(font) {
+  state.font = font;
+  document.body.className = `font-${font}`;
+  savePreferences();
+}
+
+// ===== PREFERENCES =====
+function savePreferences() {
+  const prefs = {
+    language: state.language,
+    theme: state.theme,
+    font: state.font,
+    volume: volumeSlider.value,
+    soundEnabled: state.sound.enabled,
+    exportSettings: state.exportSettings,
+    soundPack: state.soundPack,
+    marginBell: state.marginBell,
+    audioEffects: state.audioEffects,
+    ambience: state.ambience,
+    strictMode: state.strictMode,
+    strikeStyle: state.strikeStyle,
+    ribbon: state.ribbon,
+    ribbonColor: state.ribbonColor,
+    focusMode: state.focusMode,
+    focus: state.focus,
+    crt: state.crt,
+    dailyGoal: state.dailyGoal
+  };
+  localStorage.setItem('typewriter-prefs', JSON.stringify(prefs));
+}
+
+function loadPreferences() {
+  try {
+    const saved = localStorage.getItem('typewriter-prefs');
+    if (saved) {
+      const prefs = JSON.parse(saved);
+
+      // Language is applied by applyLanguage()
+      if (prefs.language) {
+        state.language = prefs.language;
+      }
+
+      // Apply theme
+      if (prefs.theme) {
+        applyTheme(prefs.theme);
+      }
+
+      // Apply font
+      if (prefs.font) {
+        state.font = prefs.font;
+        fontSelect.value = prefs.font;
+        document.body.className = `font-${prefs.font}`;
+      }
+
+      // Apply volume
+      if (prefs.volume !== undefined) {
+        volumeSlider.value = prefs.volume;
+        state.sound.setVolume(prefs.volume / 100);
+      }
+
+      // Sound pack is loaded by initSoundPacks()
+      if (prefs.soundPack) {
+        state.soundPack = prefs.soundPack;
+      }
+
+      // Apply margin bell settings
+      if (prefs.marginBell) {
+        state.marginBell = { ...DEFAULT_MARGIN_BELL, ...prefs.marginBell };
+      }
+
+      // Apply audio effects to the running sound graph
+      if (prefs.audioEffects) {
+        state.audioEffects = { ...DEFAULT_AUDIO_EFFECTS, ...prefs.audioEffects };
+        state.sound.applyEffects(state.audioEffects);
+      }
+
+      // Ambient layers are started by applyAmbience()
+      if (prefs.ambience) {
+        Object.keys(DEFAULT_AMBIENCE).forEach(id => {
+          state.ambience[id] = { ...DEFAULT_AMBIENCE[id], ...prefs.ambience[id] };
+        });
+      }
+
+      // Apply 1937 mode
+      if (prefs.strictMode) {
+        state.strictMode = true;
+        document.body.dataset.strictMode = '';
+      }
+      if (prefs.strikeStyle) {
+        state.strikeStyle = prefs.strikeStyle;
+      }
+
+      // Apply ink ribbon
+      if (prefs.ribbon) {
+        state.ribbon = { ...DEFAULT_RIBBON, ...prefs.ribbon };
+      }
+      if (prefs.ribbonColor) {
+        state.ribbonColor = prefs.ribbonColor;
+      }
+
+      // Focus mode is applied by applyFocusMode()
+      state.focusMode = !!prefs.focusMode;
+      if (prefs.focus) {
+        state.focus = { ...DEFAULT_FOCUS, ...prefs.focus };
+      }
+
+      // CRT effects are applied by applyCrtEffects()
+      if (prefs.crt) {
+        state.crt = { ...DEFAULT_CRT, ...prefs.crt };
+      }
+
+      // Apply daily goal
+      if (prefs.dailyGoal !== undefined) {
+        state.dailyGoal = prefs.dailyGoal;
+      }
+
+      // Apply export settings
+      if (prefs.exportSettings) {
+        state.exportSettings = { ...DEFAULT_EXPORT_SETTINGS, ...prefs.exportSettings };
       }
 
       // Apply sound toggle
       if (prefs.soundEnabled === false) {
         state.sound.enabled = false;
+        state.sound.updateAmbienceBus();
         soundToggle.querySelector('.sound-on').style.display = 'none';
         soundToggle.querySelector('.sound-off').style.display = 'inline';
       }